@@ -0,0 +1,91 @@
+const os = require("os");
+const fs = require("fs");
+const path = require("path");
+const { describe, it, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "linqbridge-artifacts-"));
+const videoDir = fs.mkdtempSync(path.join(os.tmpdir(), "linqbridge-video-"));
+process.env.ARTIFACTS_DIR = dir;
+process.env.ARTIFACT_RETENTION_MS = String(3600_000);
+process.env.ARTIFACT_MAX_JOBS = "2";
+process.env.ARTIFACT_UPLOAD = "false";
+process.env.VIDEO_DIR = videoDir;
+process.env.VIDEO_MAX_AGE_MS = String(3600_000);
+process.env.VIDEO_MAX_TOTAL_BYTES = "250";
+
+const { pruneArtifacts, captureAuthArtifacts, withJobContext, jobContext, pruneVideos, recordingContexts } = require("../worker.cjs");
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+  fs.rmSync(videoDir, { recursive: true, force: true });
+});
+
+function jobDir(name, ageMs) {
+  const full = path.join(dir, name);
+  fs.mkdirSync(full, { recursive: true });
+  fs.writeFileSync(path.join(full, "meta.json"), "{}");
+  const t = new Date(Date.now() - ageMs);
+  fs.utimesSync(full, t, t);
+}
+
+describe("pruneArtifacts", () => {
+  it("drops expired job dirs and keeps only the newest ARTIFACT_MAX_JOBS", async () => {
+    jobDir("job_old", 2 * 3600_000);
+    jobDir("job_a", 3000);
+    jobDir("job_b", 2000);
+    jobDir("job_c", 1000);
+    await pruneArtifacts();
+    assert.deepEqual(fs.readdirSync(dir).sort(), ["job_b", "job_c"]);
+  });
+});
+
+describe("captureAuthArtifacts", () => {
+  it("saves the sign-in page of a job that never got a session", async () => {
+    const page = {
+      isClosed: () => false, url: () => "https://www.linkedin.com/checkpoint/challenge/x",
+      screenshot: async ({ path: file }) => fs.writeFileSync(file, "png"), content: async () => "<html>checkpoint</html>",
+    };
+    const tracing = { stopChunk: async ({ path: file }) => fs.writeFileSync(file, "zip") };
+    const job = { id: "job_login", type: "AUTH_CHECK", payload: { userId: "a@example.com" } };
+    const saved = await withJobContext(job, async () => {
+      await captureAuthArtifacts({ userId: "a@example.com", page, context: { tracing, pages: () => [page] } }, { outcome: "auth_required", error: "checkpoint" });
+      return jobContext.getStore().artifacts;
+    });
+    assert.deepEqual(saved.files, ["screenshot.png", "dom.html", "trace.zip"]);
+    const meta = JSON.parse(fs.readFileSync(path.join(dir, "job_login", "meta.json"), "utf8"));
+    assert.equal(meta.outcome, "auth_required");
+    assert.equal(meta.url, page.url());
+  });
+});
+
+describe("pruneVideos", () => {
+  function video(rel, bytes, ageMs) {
+    const full = path.join(videoDir, rel);
+    fs.mkdirSync(path.dirname(full), { recursive: true });
+    fs.writeFileSync(full, Buffer.alloc(bytes));
+    const t = new Date(Date.now() - ageMs);
+    fs.utimesSync(full, t, t);
+  }
+
+  it("removes expired recordings and the oldest ones over the size budget", async () => {
+    video("job_1__a.webm", 100, 2 * 3600_000);
+    video(".raw/orphan.webm", 100, 2 * 3600_000);
+    video("job_2__a.webm", 100, 3000);
+    video("job_3__b.webm", 100, 2000);
+    video("job_4__b.webm", 100, 1000);
+    video("notes.txt", 10, 2 * 3600_000);
+    await pruneVideos();
+    assert.deepEqual(fs.readdirSync(videoDir).filter((n) => n !== ".raw").sort(), ["job_3__b.webm", "job_4__b.webm", "notes.txt"]);
+    assert.deepEqual(fs.readdirSync(path.join(videoDir, ".raw")), []);
+  });
+  it("leaves recordings of open pages alone and out of the size budget", async () => {
+    video(".raw/live.webm", 400, 3 * 3600_000);
+    video("job_5__c.webm", 100, 500);
+    const live = path.join(videoDir, ".raw", "live.webm");
+    const context = { pages: () => [{ video: () => ({ path: async () => live }) }] };
+    recordingContexts.add(context);
+    try { await pruneVideos(); } finally { recordingContexts.delete(context); }
+    assert.ok(fs.existsSync(live));
+    assert.ok(fs.existsSync(path.join(videoDir, "job_5__c.webm")));
+  });
+});
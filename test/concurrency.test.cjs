@@ -0,0 +1,93 @@
+// Scheduling across accounts, exercised in SOFT_MODE so no browser is needed.
+
+const os = require("os");
+const fs = require("fs");
+const path = require("path");
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createMockApi } = require("./helpers/mock-api.cjs");
+
+const SECRET = "concurrency-secret";
+let api, worker, tmpDir;
+
+before(async () => {
+  api = await createMockApi({ secret: SECRET }).listen();
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "linqbridge-concurrency-"));
+  Object.assign(process.env, {
+    API_BASE: api.url,
+    WORKER_SHARED_SECRET: SECRET,
+    STATE_DIR: tmpDir,
+    SOFT_MODE: "true",
+    WORKER_CONCURRENCY: "2",
+    MIN_GAP_MS: "0",
+    COOLDOWN_AFTER_SENT_MS: "0",
+    MICRO_DELAY_MIN_MS: "150",
+    MICRO_DELAY_MAX_MS: "150",
+    SESSION_IDLE_TTL_MS: "30",
+    VIDEO_SESSION_MAX_MS: "60000",
+  });
+  worker = require("../worker.cjs");
+});
+
+after(async () => {
+  await api?.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe("fillSlots", () => {
+  it("runs different accounts in parallel and the same account serially", async () => {
+    const a1 = api.enqueue("SEND_CONNECTION", { userId: "alice", profileUrl: "https://www.linkedin.com/in/a1/" });
+    const a2 = api.enqueue("SEND_CONNECTION", { userId: "alice", profileUrl: "https://www.linkedin.com/in/a2/" });
+    const b1 = api.enqueue("SEND_CONNECTION", { userId: "bob", profileUrl: "https://www.linkedin.com/in/b1/" });
+
+    await worker.fillSlots();
+    assert.deepEqual([...worker.activeJobs.values()].map((x) => x.jobId).sort(), [a1, b1].sort());
+    assert.equal(api.jobs.get(a2).state, "queued");
+
+    await Promise.all([...worker.activeJobs.values()].map((x) => x.done));
+    assert.equal(worker.activeJobs.size, 0);
+
+    await worker.fillSlots();
+    assert.deepEqual([...worker.activeJobs.values()].map((x) => x.jobId), [a2]);
+    await Promise.all([...worker.activeJobs.values()].map((x) => x.done));
+
+    assert.deepEqual(api.reports.map((r) => r.kind), ["complete", "complete", "complete"]);
+  });
+});
+
+describe("invite notes", () => {
+  it("reports a note that FORCE_NO_NOTES (on by default) kept from being sent", async () => {
+    const id = api.enqueue("SEND_CONNECTION", { userId: "carol", profileUrl: "https://www.linkedin.com/in/c1/", note: "Hi Carol" });
+    await worker.processOne();
+    const { result } = api.reports.find((r) => r.id === id).body;
+    assert.equal(result.noteSkipped, true);
+    assert.equal(result.noteSkippedReason, "notes_disabled");
+  });
+});
+
+describe("session pool sweeper", () => {
+  it("runs outside the context of the job that started it", async () => {
+    const { sessions, withJobContext, jobContext } = worker;
+    const seen = [];
+    const evictIdle = sessions.evictIdle;
+    sessions.evictIdle = async () => { seen.push(jobContext.getStore()); };
+    try {
+      await withJobContext({ id: "job_sweep", type: "SEND_CONNECTION", payload: { userId: "alice" } }, async () => sessions._startSweeper());
+      await new Promise((r) => setTimeout(r, 100));
+    } finally {
+      clearInterval(sessions.timer); sessions.timer = null; sessions.evictIdle = evictIdle;
+    }
+    assert.ok(seen.length > 0);
+    assert.ok(seen.every((ctx) => ctx === undefined));
+  });
+  it("recycles a recording session once it is older than VIDEO_SESSION_MAX_MS, however recently it was used", async () => {
+    const { sessions } = worker;
+    const fake = (startedAt) => ({ userId: "rec", inUse: false, startedAt, lastUsedAt: Date.now(), browser: { isConnected: () => false, close: async () => {} } });
+    sessions.sessions.set("fresh", fake(Date.now()));
+    sessions.sessions.set("old", fake(Date.now() - 2 * 60_000));
+    await sessions.evictIdle();
+    assert.deepEqual([...sessions.sessions.keys()], ["fresh"]);
+    sessions.sessions.clear();
+  });
+});
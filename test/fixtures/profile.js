@@ -0,0 +1,94 @@
+// profile.js — tiny stand-in for the LinkedIn profile top card behaviours the worker relies on.
+// Elements opt in via data attributes:
+//   data-toggles="<id>"           show/hide an element (the "More" dropdown)
+//   data-opens="connect-dialog"   open the invite dialog
+//   data-opens="message-overlay"  open the messaging overlay
+//   data-navigates="<path>"       navigate away (misclick into people search, Sales Navigator, …)
+// <body data-note-quota="0"> turns "Add a note" into the out-of-notes upsell; data-note-limit sets the
+// note field's maxlength. A sent note is left in body[data-sent-note]; Escape closes any dialog.
+// body[data-message-send="error"] shows a send-failure toast instead of the bubble, "drop" shows nothing,
+// "late-error" marks the bubble as failed a moment after it appeared.
+// Dialog labels follow <html lang> (en or de) like LinkedIn's own UI.
+(function () {
+  function el(html) { const t = document.createElement("template"); t.innerHTML = html.trim(); return t.content.firstChild; }
+  const L = {
+    en: { title: "Add a note to your invitation?", addNote: "Add a note", sendWithout: "Send without a note", send: "Send", pending: "Pending", withdraw: "Pending, click to withdraw invitation", sent: "Invitation sent", quota: "You’ve used all your personalized invitations for this month." },
+    de: { title: "Ihrer Einladung eine Nachricht hinzufügen?", addNote: "Nachricht hinzufügen", sendWithout: "Ohne Nachricht senden", send: "Senden", pending: "Ausstehend", withdraw: "Ausstehend, klicken Sie, um die Einladung zurückzuziehen", sent: "Einladung gesendet", quota: "Sie haben alle personalisierten Einladungen für diesen Monat verwendet." },
+  }[(document.documentElement.lang || "en").slice(0, 2)] || {};
+
+  function openConnectDialog() {
+    if (document.querySelector('[role="dialog"]')) return;
+    const dlg = el(`
+      <div role="dialog" aria-labelledby="invite-title" class="artdeco-modal send-invite">
+        <h2 id="invite-title">${L.title}</h2>
+        <button aria-label="${L.addNote}" data-add-note>${L.addNote}</button>
+        <button aria-label="${L.sendWithout}" data-send-without>${L.sendWithout}</button>
+      </div>`);
+    const invited = () => {
+      dlg.remove();
+      document.querySelectorAll('[data-opens="connect-dialog"]').forEach((b) => b.remove());
+      const pending = el(`<button aria-label="${L.withdraw}">${L.pending}</button>`);
+      document.querySelector(".pv-top-card__actions").appendChild(pending);
+      document.body.appendChild(el(`<div class="artdeco-toast-item">${L.sent}</div>`));
+    };
+    dlg.querySelector("[data-send-without]").addEventListener("click", invited);
+    dlg.querySelector("[data-add-note]").addEventListener("click", () => {
+      if (document.body.dataset.noteQuota === "0") { dlg.innerHTML = `<p>${L.quota}</p>`; return; }
+      dlg.innerHTML = `<textarea id="custom-message" name="message" maxlength="${document.body.dataset.noteLimit || 300}"></textarea><button data-send-note>${L.send}</button>`;
+      dlg.querySelector("[data-send-note]").addEventListener("click", () => {
+        document.body.dataset.sentNote = dlg.querySelector("textarea").value;
+        invited();
+      });
+    });
+    document.body.appendChild(dlg);
+  }
+
+  function openMessageOverlay() {
+    if (document.querySelector(".msg-overlay-conversation-bubble")) return;
+    const bubble = el(`
+      <div class="msg-overlay-conversation-bubble">
+        <ul class="msg-s-message-list-content"></ul>
+        <form class="msg-form">
+          <div class="msg-form__contenteditable" contenteditable="true" role="textbox" aria-label="Write a message…"></div>
+          <button class="msg-form__send-button" type="submit">Send</button>
+        </form>
+      </div>`);
+    const editor = bubble.querySelector(".msg-form__contenteditable");
+    // Like LinkedIn's default setting: Enter sends, Shift+Enter breaks the line
+    editor.addEventListener("keydown", (e) => {
+      if (e.key === "Enter" && !e.shiftKey) { e.preventDefault(); bubble.querySelector("form").requestSubmit(); }
+    });
+    bubble.querySelector("form").addEventListener("submit", (e) => {
+      e.preventDefault();
+      const text = (editor.innerText || "").trim();
+      if (!text) return;
+      editor.innerHTML = "";
+      const mode = document.body.dataset.messageSend;
+      if (mode === "drop") return;
+      if (mode === "error") { document.body.appendChild(el(`<div class="artdeco-toast-item">Message failed to send</div>`)); return; }
+      const li = document.createElement("li");
+      li.className = "msg-s-message-list__event msg-s-event-listitem--outgoing";
+      const p = document.createElement("p");
+      p.className = "msg-s-event-listitem__body";
+      p.style.whiteSpace = "pre-wrap";
+      p.textContent = text;
+      li.appendChild(p);
+      bubble.querySelector("ul").appendChild(li);
+      if (mode === "late-error") setTimeout(() => li.appendChild(el(`<span class="msg-s-event-listitem__error">Not delivered</span>`)), 300);
+    });
+    document.body.appendChild(bubble);
+  }
+
+  document.addEventListener("keydown", (e) => {
+    if (e.key === "Escape") document.querySelectorAll('[role="dialog"]').forEach((d) => d.remove());
+  });
+
+  document.addEventListener("click", (e) => {
+    const t = e.target.closest("[data-toggles],[data-opens],[data-navigates]");
+    if (!t) return;
+    if (t.dataset.toggles) { const m = document.getElementById(t.dataset.toggles); m.hidden = !m.hidden; }
+    if (t.dataset.opens === "connect-dialog") { const m = t.closest('[role="menu"]'); if (m) m.hidden = true; openConnectDialog(); }
+    if (t.dataset.opens === "message-overlay") { const m = t.closest('[role="menu"]'); if (m) m.hidden = true; openMessageOverlay(); }
+    if (t.dataset.navigates) location.href = t.dataset.navigates;
+  });
+})();
@@ -0,0 +1,93 @@
+// Health and metrics endpoints, in SOFT_MODE so readiness does not need a Chromium launch.
+
+const os = require("os");
+const fs = require("fs");
+const path = require("path");
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createMockApi } = require("./helpers/mock-api.cjs");
+
+const SECRET = "health-secret";
+let api, worker, server, base, tmpDir;
+
+before(async () => {
+  api = await createMockApi({ secret: SECRET }).listen();
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "linqbridge-health-"));
+  Object.assign(process.env, {
+    API_BASE: api.url, WORKER_SHARED_SECRET: SECRET, STATE_DIR: tmpDir,
+    SOFT_MODE: "true", READY_CACHE_MS: "0", MIN_GAP_MS: "0", COOLDOWN_AFTER_SENT_MS: "0",
+    MICRO_DELAY_MIN_MS: "0", MICRO_DELAY_MAX_MS: "0",
+  });
+  worker = require("../worker.cjs");
+  server = worker.startHealthServer(0);
+  await new Promise((r) => server.listening ? r() : server.once("listening", r));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  server?.close();
+  await api?.close().catch(() => {});
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe("health server", () => {
+  it("answers /healthz", async () => {
+    const res = await fetch(`${base}/healthz`);
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).ok, true);
+  });
+
+  it("reports ready when the API is reachable", async () => {
+    const res = await fetch(`${base}/readyz`);
+    const body = await res.json();
+    assert.equal(res.status, 200);
+    assert.equal(body.api.ok, true);
+  });
+
+  it("exposes job counters and handler histograms in Prometheus format", async () => {
+    api.enqueue("SEND_CONNECTION", { userId: "m", profileUrl: "https://www.linkedin.com/in/m/" });
+    api.enqueue("SEND_MESSAGE", { userId: "m", profileUrl: "https://www.linkedin.com/in/m/" });
+    await worker.processOne();
+    await worker.processOne();
+    const text = await (await fetch(`${base}/metrics`)).text();
+    assert.match(text, /# TYPE linqbridge_jobs_processed_total counter/);
+    assert.match(text, /linqbridge_jobs_processed_total\{outcome="success",type="SEND_CONNECTION"\} 1/);
+    assert.match(text, /linqbridge_jobs_processed_total\{outcome="invalid_job",type="SEND_MESSAGE"\} 1/);
+    assert.match(text, /linqbridge_handler_duration_seconds_bucket\{type="SEND_CONNECTION",le="\+Inf"\} 1/);
+    assert.match(text, /linqbridge_active_jobs 0/);
+  });
+
+  it("escapes label values the Prometheus way", async () => {
+    worker.metrics.counter("linqbridge_test_labels_total", "Escaping check").inc({ v: 'a"b\\c\nd' });
+    const text = await (await fetch(`${base}/metrics`)).text();
+    assert.ok(text.includes('linqbridge_test_labels_total{v="a\\"b\\\\c\\nd"} 1'));
+  });
+
+  it("runs one readiness check for concurrent probes", async () => {
+    api.breakRoute(/\/jobs\/stats/, 1, 503);
+    const checks = await Promise.all([1, 2, 3].map(() => worker.checkReadiness()));
+    assert.deepEqual(checks.map((c) => c.api.ok), [false, false, false]);
+    assert.equal((await fetch(`${base}/readyz`)).status, 200);
+  });
+
+  it("survives a health port that is already taken", async () => {
+    const taken = worker.startHealthServer(server.address().port);
+    const err = await new Promise((r) => taken.once("error", r));
+    assert.equal(err.code, "EADDRINUSE");
+    assert.equal((await fetch(`${base}/healthz`)).status, 200);
+  });
+
+  it("answers 404 for a missing artifact and keeps serving", async () => {
+    const res = await fetch(`${base}/artifacts/job_missing/trace.zip`, { headers: { "x-worker-secret": SECRET } });
+    assert.equal(res.status, 404);
+    assert.equal((await fetch(`${base}/healthz`)).status, 200);
+  });
+
+  it("reports not ready once the API is gone", async () => {
+    await api.close();
+    const res = await fetch(`${base}/readyz`);
+    assert.equal(res.status, 503);
+    assert.equal((await res.json()).api.ok, false);
+  });
+});
@@ -0,0 +1,70 @@
+// fixtures.cjs — serves test/fixtures/*.html as if they were LinkedIn pages, fully offline.
+//
+// Every request from the browser context is intercepted: /in/<name>/ maps to <name>.html,
+// /feed/ to feed.html, /search/results/people/ to people-search.html, /login to login.html,
+// /checkpoint/challenge/ to checkpoint.html and /__fixtures__/<file> to the raw file. Anything
+// else is answered with a 404 so a stray navigation can never reach
+// the network.
+
+const fs = require("fs");
+const path = require("path");
+const { chromium } = require("playwright");
+
+const FIXTURE_DIR = path.join(__dirname, "..", "fixtures");
+const BASE = "https://www.linkedin.com";
+
+function chromiumAvailable() {
+  try { return fs.existsSync(chromium.executablePath()); } catch { return false; }
+}
+
+function fixtureFileFor(url) {
+  const u = new URL(url);
+  let m;
+  if ((m = u.pathname.match(/^\/__fixtures__\/([\w.-]+)$/))) return path.join(FIXTURE_DIR, m[1]);
+  if ((m = u.pathname.match(/^\/in\/([\w-]+)\/?/))) return path.join(FIXTURE_DIR, `${m[1]}.html`);
+  if (/^\/feed\/?$/.test(u.pathname)) return path.join(FIXTURE_DIR, "feed.html");
+  if (/^\/search\/results\/people\/?/.test(u.pathname)) return path.join(FIXTURE_DIR, "people-search.html");
+  if (/^\/login\/?$/.test(u.pathname)) return path.join(FIXTURE_DIR, "login.html");
+  if (/^\/checkpoint\/challenge\/?/.test(u.pathname)) return path.join(FIXTURE_DIR, "checkpoint.html");
+  return null;
+}
+
+async function routeToFixtures(context) {
+  await context.route("**/*", async (route) => {
+    const file = fixtureFileFor(route.request().url());
+    if (!file || !fs.existsSync(file)) return route.fulfill({ status: 404, contentType: "text/html", body: "<title>Page not found</title>" });
+    const contentType = file.endsWith(".js") ? "application/javascript" : "text/html; charset=utf-8";
+    return route.fulfill({ status: 200, contentType, body: fs.readFileSync(file) });
+  });
+}
+
+async function launchFixtureBrowser() {
+  const browser = await chromium.launch({ headless: true, args: ["--no-sandbox", "--disable-dev-shm-usage"] });
+  const context = await browser.newContext({ locale: "en-US", viewport: { width: 1280, height: 800 } });
+  await routeToFixtures(context);
+  return { browser, context };
+}
+
+// Makes every browser the worker launches serve fixtures instead of LinkedIn (end-to-end runs).
+function routeWorkerBrowsersToFixtures() {
+  const launch = chromium.launch.bind(chromium);
+  chromium.launch = async (opts) => {
+    const browser = await launch(opts);
+    const newContext = browser.newContext.bind(browser);
+    browser.newContext = async (ctxOpts) => { const ctx = await newContext(ctxOpts); await routeToFixtures(ctx); return ctx; };
+    return browser;
+  };
+  return () => { chromium.launch = launch; };
+}
+
+async function openFixture(context, name) {
+  const page = await context.newPage();
+  page.setDefaultTimeout(5000);
+  await page.goto(`${BASE}/in/${name}/`, { waitUntil: "domcontentloaded" });
+  return page;
+}
+
+module.exports = {
+  BASE, FIXTURE_DIR, chromiumAvailable, fixtureFileFor,
+  launchFixtureBrowser, openFixture, routeWorkerBrowsersToFixtures,
+};
@@ -0,0 +1,144 @@
+// mock-api.cjs — local stand-in for the LinqBridge job API, speaking the same contract as the backend:
+//
+//   POST /jobs/next            { types, excludeUserIds }  → { job } | { job: null }
+//   POST /jobs/:id/complete    { result }                 → { ok: true }
+//   POST /jobs/:id/fail        { error, requeue, delayMs } → { ok: true }
+//   POST /jobs/:id/heartbeat   { leaseMs }                → { ok: true, leaseUntil }
+//   POST /jobs/:id/artifacts   { meta, files }            → { ok: true }
+//   GET  /jobs/stats                                      → { counts }
+//   GET  /selectors                                       → { version, selectors } | 404
+//   GET  /suppressions                                    → { entries: [{ profileUrl?, publicIdentifier?, company?, reason? }] }
+//   POST /accounts/:userId/auth-status { status, reason, expiresAt, since } → { ok: true }
+//
+// Every route requires the x-worker-secret header. Jobs are scripted with enqueue(); whatever the
+// worker reports is recorded in `reports` (account auth statuses in `authStatuses`) so tests can assert
+// on it. breakRoute(re, count, status) makes the next `count` requests whose path matches `re` fail with
+// `status` (outage drills).
+//
+// Standalone: `node test/helpers/mock-api.cjs` (PORT, WORKER_SHARED_SECRET, JOBS_FILE=<json array>).
+
+const http = require("http");
+const fs = require("fs");
+
+function createMockApi({ secret = "test-secret", port = 0 } = {}) {
+  const jobs = new Map();
+  const reports = [];
+  const authStatuses = [];
+  let seq = 0;
+  let selectorRegistry = null;
+  let breaks = [];
+  let suppressionEntries = [];
+
+  function enqueue(type, payload = {}, extra = {}) {
+    const id = extra.id || `job_${++seq}`;
+    jobs.set(id, { id, type, payload, state: "queued", attempts: 0, availableAt: 0, ...extra });
+    return id;
+  }
+
+  function counts() {
+    const c = { queued: 0, claimed: 0, done: 0, failed: 0 };
+    for (const j of jobs.values()) c[j.state] = (c[j.state] || 0) + 1;
+    return c;
+  }
+
+  function claimNext(types, excludeUserIds) {
+    const excluded = new Set((excludeUserIds || []).map(String));
+    const ts = Date.now();
+    for (const j of jobs.values()) {
+      if (j.state !== "queued" || j.availableAt > ts) continue;
+      if (Array.isArray(types) && types.length && !types.includes(j.type)) continue;
+      if (excluded.has(String(j.payload?.userId || "default"))) continue;
+      j.state = "claimed"; j.attempts += 1; j.claimedAt = ts;
+      return { id: j.id, type: j.type, payload: j.payload, attempts: j.attempts };
+    }
+    return null;
+  }
+
+  function readBody(req) {
+    return new Promise((resolve) => {
+      let raw = "";
+      req.on("data", (c) => { raw += c; });
+      req.on("end", () => { try { resolve(raw ? JSON.parse(raw) : {}); } catch { resolve(null); } });
+    });
+  }
+
+  function send(res, status, body) {
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body));
+  }
+
+  const server = http.createServer(async (req, res) => {
+    if (req.headers["x-worker-secret"] !== secret) return send(res, 401, { error: "unauthorized" });
+    const url = new URL(req.url, "http://localhost");
+    const broken = breaks.find((b) => b.count > 0 && b.re.test(url.pathname));
+    if (broken) { broken.count -= 1; return send(res, broken.status, { error: "injected failure" }); }
+    const body = req.method === "POST" ? await readBody(req) : {};
+    if (body === null) return send(res, 400, { error: "invalid json" });
+
+    if (req.method === "GET" && url.pathname === "/jobs/stats") return send(res, 200, { counts: counts() });
+    if (req.method === "GET" && url.pathname === "/suppressions") return send(res, 200, { entries: suppressionEntries });
+    if (req.method === "GET" && url.pathname === "/selectors") return selectorRegistry ? send(res, 200, selectorRegistry) : send(res, 404, { error: "no registry" });
+    if (req.method === "POST" && url.pathname === "/jobs/next") return send(res, 200, { job: claimNext(body.types, body.excludeUserIds) });
+
+    const acct = url.pathname.match(/^\/accounts\/([^/]+)\/auth-status$/);
+    if (req.method === "POST" && acct) {
+      authStatuses.push({ userId: decodeURIComponent(acct[1]), ...body });
+      return send(res, 200, { ok: true });
+    }
+
+    const hb = url.pathname.match(/^\/jobs\/([^/]+)\/heartbeat$/);
+    if (req.method === "POST" && hb) {
+      const job = jobs.get(decodeURIComponent(hb[1]));
+      if (!job) return send(res, 404, { error: "job not found" });
+      if (job.state !== "claimed") return send(res, 409, { error: `job is ${job.state}` });
+      job.leaseUntil = Date.now() + (Number(body.leaseMs) || 0);
+      job.heartbeats = (job.heartbeats || 0) + 1;
+      return send(res, 200, { ok: true, leaseUntil: job.leaseUntil });
+    }
+
+    const art = url.pathname.match(/^\/jobs\/([^/]+)\/artifacts$/);
+    if (req.method === "POST" && art) {
+      const job = jobs.get(decodeURIComponent(art[1]));
+      if (!job) return send(res, 404, { error: "job not found" });
+      job.artifacts = body;
+      return send(res, 200, { ok: true });
+    }
+
+    const m = url.pathname.match(/^\/jobs\/([^/]+)\/(complete|fail)$/);
+    if (req.method === "POST" && m) {
+      const job = jobs.get(decodeURIComponent(m[1]));
+      if (!job) return send(res, 404, { error: "job not found" });
+      if (job.state !== "claimed") return send(res, 409, { error: `job is ${job.state}` });
+      reports.push({ id: job.id, type: job.type, kind: m[2], body, at: Date.now() });
+      if (m[2] === "complete") { job.state = "done"; job.result = body.result; }
+      else if (body.requeue) { job.state = "queued"; job.availableAt = Date.now() + (Number(body.delayMs) || 0); job.lastError = body.error; }
+      else { job.state = "failed"; job.lastError = body.error; }
+      return send(res, 200, { ok: true });
+    }
+    return send(res, 404, { error: "not found" });
+  });
+
+  return {
+    jobs, reports, authStatuses, enqueue, counts,
+    setSelectors(doc) { selectorRegistry = doc; },
+    setSuppressions(entries) { suppressionEntries = entries; },
+    breakRoute(re, count = 1, status = 503) { breaks.push({ re, count, status }); },
+    heal() { breaks = []; },
+    get url() { const a = server.address(); return a ? `http://127.0.0.1:${a.port}` : null; },
+    listen() { return new Promise((resolve) => server.listen(port, "127.0.0.1", () => resolve(this))); },
+    close() { return new Promise((resolve) => server.close(() => resolve())); },
+  };
+}
+
+module.exports = { createMockApi };
+
+if (require.main === module) {
+  const api = createMockApi({ secret: process.env.WORKER_SHARED_SECRET || "test-secret", port: parseInt(process.env.PORT || "8080", 10) });
+  if (process.env.JOBS_FILE) {
+    for (const j of JSON.parse(fs.readFileSync(process.env.JOBS_FILE, "utf8"))) api.enqueue(j.type, j.payload, j.id ? { id: j.id } : {});
+  }
+  api.listen().then(() => {
+    console.log(`[mock-api] listening on ${api.url} (${api.jobs.size} jobs queued)`);
+    setInterval(() => { const r = api.reports.splice(0); for (const x of r) console.log("[mock-api]", x.kind, x.id, JSON.stringify(x.body)); }, 1000);
+  });
+}
@@ -0,0 +1,293 @@
+// End-to-end runner: the worker's poll → handle → complete/fail loop against the bundled
+// mock job API, with every browser the worker launches served from test/fixtures.
+//
+// Contract and loop tests run everywhere; the browser-backed jobs need a local Chromium.
+
+const os = require("os");
+const fs = require("fs");
+const path = require("path");
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createMockApi } = require("./helpers/mock-api.cjs");
+const { BASE, chromiumAvailable, routeWorkerBrowsersToFixtures } = require("./helpers/fixtures.cjs");
+
+const SECRET = "e2e-secret";
+const skip = chromiumAvailable() ? false : "Chromium not installed (run `npx playwright install chromium`)";
+
+let api, worker, restoreLaunch, tmpDir;
+
+before(async () => {
+  api = await createMockApi({ secret: SECRET }).listen();
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "linqbridge-e2e-"));
+  Object.assign(process.env, {
+    API_BASE: api.url,
+    WORKER_SHARED_SECRET: SECRET,
+    STATE_DIR: path.join(tmpDir, "state"),
+    STORAGE_STATE_PATH: path.join(tmpDir, "auth-state.json"),
+    ARTIFACTS_DIR: path.join(tmpDir, "artifacts"),
+    HEADLESS: "true",
+    SLOWMO_MS: "0",
+    ALLOW_INTERACTIVE_LOGIN: "false",
+    USE_PROFILE_MOBILE_FIRST: "false",
+    PROFILE_INITIAL_WAIT_MS: "0",
+    MIN_GAP_MS: "0",
+    COOLDOWN_AFTER_SENT_MS: "0",
+    COOLDOWN_AFTER_FAIL_MS: "0",
+    MICRO_DELAY_MIN_MS: "0",
+    MICRO_DELAY_MAX_MS: "0",
+    OUTBOX_RETRY_BASE_MS: "0",
+    STATE_ENCRYPTION_KEY: "11".repeat(32),
+    ARTIFACT_TRACE: "true",
+    ACTIVE_TIMEZONE: "Europe/Berlin",
+    FORCE_NO_NOTES: "false",
+  });
+  restoreLaunch = routeWorkerBrowsersToFixtures();
+  worker = require("../worker.cjs");
+});
+
+after(async () => {
+  await worker?.sessions.closeAll();
+  restoreLaunch?.();
+  await api?.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+beforeEach(() => { api.jobs.clear(); api.reports.length = 0; api.heal(); });
+
+describe("mock job api", () => {
+  it("rejects requests without the worker secret", async () => {
+    const res = await fetch(`${api.url}/jobs/stats`);
+    assert.equal(res.status, 401);
+  });
+
+  it("hands out queued jobs of the requested types and honours requeue delays", async () => {
+    const id = api.enqueue("SEND_MESSAGE", { userId: "u1" });
+    const post = (p, body) => fetch(`${api.url}${p}`, { method: "POST", headers: { "Content-Type": "application/json", "x-worker-secret": SECRET }, body: JSON.stringify(body) }).then((r) => r.json());
+
+    assert.equal((await post("/jobs/next", { types: ["AUTH_CHECK"] })).job, null);
+    assert.equal((await post("/jobs/next", { types: ["SEND_MESSAGE"] })).job.id, id);
+    await post(`/jobs/${id}/fail`, { error: "later", requeue: true, delayMs: 60_000 });
+    assert.equal((await post("/jobs/next", { types: ["SEND_MESSAGE"] })).job, null);
+    assert.deepEqual(api.counts(), { queued: 1, claimed: 0, done: 0, failed: 0 });
+  });
+});
+
+describe("processOne", () => {
+  it("does nothing when the queue is empty", async () => {
+    await worker.processOne();
+    assert.equal(api.reports.length, 0);
+  });
+
+  it("only claims the job types it handles", async () => {
+    api.enqueue("SOMETHING_ELSE");
+    await worker.processOne();
+    assert.equal(api.reports.length, 0);
+    assert.deepEqual(api.counts(), { queued: 1, claimed: 0, done: 0, failed: 0 });
+  });
+
+  it("reports handler errors through /fail", async () => {
+    api.enqueue("SEND_MESSAGE", { userId: "u1", profileUrl: `${BASE}/in/first-degree/` });
+    await worker.processOne();
+    assert.equal(api.reports[0].kind, "fail");
+    assert.equal(api.reports[0].body.error, "payload.message or payload.template required");
+    assert.equal(api.reports[0].body.code, "invalid_job");
+    assert.equal(api.reports[0].body.requeue, false);
+    assert.equal(api.jobs.values().next().value.state, "failed");
+  });
+
+  it("rejects a template with an unknown variable before opening a browser", async () => {
+    api.enqueue("SEND_MESSAGE", { userId: "u1", profileUrl: `${BASE}/in/first-degree/`, template: "Hi {{nickname}}" });
+    await worker.processOne();
+    assert.equal(api.reports[0].body.code, "invalid_job");
+    assert.match(api.reports[0].body.error, /Unknown template variable/);
+  });
+
+  it("rejects an invite note over LinkedIn's limit before opening a browser", async () => {
+    api.enqueue("SEND_CONNECTION", { userId: "u1", profileUrl: `${BASE}/in/second-degree/`, note: "x".repeat(301) });
+    await worker.processOne();
+    assert.equal(api.reports[0].body.code, "invalid_job");
+    assert.match(api.reports[0].body.error, /payload.note is 301 chars/);
+  });
+
+  it("refuses jobs that carry credentials in the payload", async () => {
+    api.enqueue("AUTH_CHECK", { userId: "u1", password: "hunter22" });
+    await worker.processOne();
+    assert.equal(api.reports[0].body.code, "invalid_job");
+    assert.match(api.reports[0].body.error, /never taken from job payloads/);
+  });
+
+  it("rejects a message over the composer limit before opening a browser", async () => {
+    api.enqueue("SEND_MESSAGE", { userId: "u1", profileUrl: `${BASE}/in/first-degree/`, message: "🚀".repeat(3001) });
+    await worker.processOne();
+    assert.equal(api.reports[0].body.code, "invalid_job");
+    assert.match(api.reports[0].body.error, /longer than 3000 characters/);
+  });
+
+  it("answers a re-delivered job from the ledger instead of sending again", async () => {
+    const profileUrl = `${BASE}/in/first-degree/`;
+    worker.ledger.record("u1", { jobId: "job_redelivered", key: worker.ActionLedger.key(profileUrl, "message", "Hello again"), actionTaken: "sent" });
+    api.enqueue("SEND_MESSAGE", { userId: "u1", profileUrl, message: "Hello again" }, { id: "job_redelivered" });
+    api.enqueue("SEND_MESSAGE", { userId: "u1", profileUrl, message: "Hello again" }, { id: "job_duplicate" });
+    await worker.processOne();
+    await worker.processOne();
+    assert.deepEqual(api.reports.map((r) => [r.kind, r.body.result.actionTaken]), [["complete", "already_sent"], ["complete", "already_sent"]]);
+    assert.match(api.reports[1].body.result.details, /job_redelivered/);
+  });
+});
+
+describe("suppression list", () => {
+  after(async () => { api.setSuppressions([]); await worker.refreshSuppressions(); });
+
+  it("completes a job for a suppressed target as suppressed, without a browser, and audits it", async () => {
+    api.setSuppressions([{ publicIdentifier: "Second-Degree", reason: "asked not to be contacted" }]);
+    await worker.refreshSuppressions();
+    const id = api.enqueue("SEND_CONNECTION", { userId: "u1", profileUrl: `${BASE}/in/second-degree/?trk=x` });
+    await worker.processOne();
+    const [r] = api.reports;
+    assert.equal(r.kind, "complete");
+    assert.equal(r.body.result.outcome, "suppressed");
+    assert.deepEqual(r.body.result.suppression, { source: "api", reason: "asked not to be contacted", field: "publicIdentifier", value: "Second-Degree" });
+    assert.equal(worker.sessions.sessions.size, 0);
+
+    const audit = fs.readFileSync(path.join(tmpDir, "state", "suppression-audit.jsonl"), "utf8").trim().split("\n").map(JSON.parse);
+    assert.equal(audit.at(-1).jobId, id);
+    assert.equal(audit.at(-1).match.field, "publicIdentifier");
+  });
+
+  it("blocks messages by payload company", async () => {
+    api.setSuppressions([{ company: "Acme, Inc." }]);
+    await worker.refreshSuppressions();
+    api.enqueue("SEND_MESSAGE", { userId: "u1", profileUrl: `${BASE}/in/first-degree/`, message: "Hi", company: "ACME Inc" });
+    await worker.processOne();
+    assert.equal(api.reports[0].body.result.outcome, "suppressed");
+    assert.equal(api.reports[0].body.result.suppression.field, "company");
+  });
+});
+
+describe("result outbox", () => {
+  const outboxFiles = () => { try { return fs.readdirSync(path.join(tmpDir, "state", "outbox")).filter((f) => f.endsWith(".json")); } catch { return []; } };
+
+  it("keeps a report on disk while the API is down and delivers it before claiming again", async () => {
+    api.breakRoute(/\/fail$/, 1);
+    const first = api.enqueue("SEND_MESSAGE", { userId: "u1", profileUrl: `${BASE}/in/first-degree/` });
+    await worker.processOne();
+    assert.equal(api.reports.length, 0);
+    assert.equal(outboxFiles().length, 1);
+    assert.equal(JSON.parse(fs.readFileSync(path.join(tmpDir, "state", "outbox", outboxFiles()[0]), "utf8")).jobId, first);
+
+    const second = api.enqueue("SEND_MESSAGE", { userId: "u2", profileUrl: `${BASE}/in/first-degree/` });
+    await worker.processOne();
+    assert.deepEqual(api.reports.map((r) => r.id), [first, second]);
+    assert.equal(outboxFiles().length, 0);
+  });
+
+  it("stops claiming new jobs while the outbox is backed up", async () => {
+    api.breakRoute(/\/fail$/, 2);
+    api.enqueue("SEND_MESSAGE", { userId: "u1", profileUrl: `${BASE}/in/first-degree/` });
+    await worker.processOne();
+    api.enqueue("SEND_MESSAGE", { userId: "u2", profileUrl: `${BASE}/in/first-degree/` });
+    await worker.processOne();
+    assert.deepEqual(api.counts(), { queued: 1, claimed: 1, done: 0, failed: 0 });
+    assert.equal(worker.outbox.size, 1);
+
+    await worker.processOne();
+    assert.equal(api.reports.length, 2);
+    assert.equal(worker.outbox.size, 0);
+  });
+
+  it("drops a report the API rejects for good", async () => {
+    assert.equal(await worker.outbox.send("job_unknown", "complete", { result: {} }), false);
+    assert.equal(worker.outbox.size, 0);
+    assert.equal(outboxFiles().length, 0);
+  });
+
+  it("retries idempotent GETs through transient API errors", async () => {
+    api.breakRoute(/^\/jobs\/stats$/, 2, 502);
+    assert.ok((await worker.apiGet("/jobs/stats")).counts);
+    api.breakRoute(/^\/jobs\/stats$/, 1, 502);
+    await assert.rejects(worker.apiGet("/jobs/stats", { retries: 0 }), (e) => e.status === 502);
+  });
+});
+
+describe("scripted jobs against fixtures", { skip }, () => {
+  it("AUTH_CHECK authenticates and saves storageState", async () => {
+    api.enqueue("AUTH_CHECK", { userId: "e2e@example.com" });
+    await worker.processOne();
+    const [r] = api.reports;
+    assert.equal(r.kind, "complete");
+    assert.equal(r.body.result.ok, true);
+    const saved = JSON.parse(fs.readFileSync(path.join(tmpDir, "state", "sessions", "e2e_example_com.json"), "utf8"));
+    assert.equal(saved.format, "linqbridge-state");
+    assert.ok(!("cookies" in saved));
+  });
+
+  it("SEND_CONNECTION sends a plain invite", async () => {
+    api.enqueue("SEND_CONNECTION", { userId: "e2e@example.com", profileUrl: `${BASE}/in/second-degree/` });
+    await worker.processOne();
+    const [r] = api.reports;
+    assert.equal(r.kind, "complete");
+    assert.equal(r.body.result.actionTaken, "sent_without_note");
+  });
+
+  it("SEND_MESSAGE messages a 1st-degree connection", async () => {
+    api.enqueue("SEND_MESSAGE", { userId: "e2e@example.com", profileUrl: `${BASE}/in/first-degree/`, message: "Hello from the e2e run" });
+    await worker.processOne();
+    const [r] = api.reports;
+    assert.equal(r.kind, "complete");
+    assert.equal(r.body.result.actionTaken, "sent");
+  });
+
+  it("SEND_MESSAGE renders a template from the profile header", async () => {
+    api.enqueue("SEND_MESSAGE", { userId: "e2e@example.com", profileUrl: `${BASE}/in/first-degree/`, template: "Hi {{firstName}}, how are things at {{company}}?" });
+    await worker.processOne();
+    const [r] = api.reports;
+    assert.equal(r.kind, "complete");
+    assert.equal(r.body.result.messageUsed, "Hi Jane, how are things at Acme?");
+  });
+
+  it("keeps one pooled session per account between jobs", async () => {
+    assert.equal(worker.sessions.sessions.size, 1);
+    api.enqueue("AUTH_CHECK", { userId: "e2e@example.com" });
+    await worker.processOne();
+    assert.equal(api.reports[0].body.result.via, "pooled");
+  });
+
+  it("runs the account's browser in its policy timezone", async () => {
+    const [session] = worker.sessions.sessions.values();
+    assert.equal(await session.page.evaluate(() => Intl.DateTimeFormat().resolvedOptions().timeZone), "Europe/Berlin");
+  });
+
+  it("saves and uploads failure artifacts for a non-success outcome", async () => {
+    const id = api.enqueue("SEND_MESSAGE", { userId: "e2e@example.com", profileUrl: `${BASE}/in/inmail-open-profile/`, message: "Hello" });
+    await worker.processOne();
+    const [r] = api.reports;
+    assert.equal(r.body.result.outcome, "not_eligible");
+    const dir = path.join(tmpDir, "artifacts", id);
+    for (const f of ["screenshot.png", "dom.html", "trace.zip", "meta.json"]) assert.ok(fs.existsSync(path.join(dir, f)), f);
+    // The trace carries session cookies: kept locally, never uploaded by default
+    assert.deepEqual(api.jobs.get(id).artifacts.files.map((f) => f.name).sort(), ["dom.html", "screenshot.png"]);
+  });
+
+  it("does not repeat a message the account already sent to this profile", async () => {
+    api.enqueue("SEND_MESSAGE", { userId: "e2e@example.com", profileUrl: `${BASE}/in/first-degree/`, message: "Hello from the e2e run" });
+    await worker.processOne();
+    assert.equal(api.reports[0].body.result.actionTaken, "already_sent");
+  });
+
+  it("rehearses SEND_CONNECTION and reports the matched selectors", async () => {
+    api.enqueue("SEND_CONNECTION", { userId: "e2e@example.com", profileUrl: `${BASE}/in/connect-under-more/`, rehearsal: true });
+    await worker.processOne();
+    const { result } = api.reports[0].body;
+    assert.equal(result.outcome, "success");
+    assert.equal(result.actionTaken, "rehearsed");
+    assert.equal(result.rehearsal, true);
+    assert.ok(result.selectors.matched.connectMenuItem);
+  });
+
+  it("SEND_CONNECTION on a pending profile takes no action", async () => {
+    api.enqueue("SEND_CONNECTION", { userId: "e2e@example.com", profileUrl: `${BASE}/in/pending/` });
+    await worker.processOne();
+    assert.equal(api.reports[0].body.result.actionTaken, "none");
+  });
+});
@@ -0,0 +1,56 @@
+const os = require("os");
+const fs = require("fs");
+const path = require("path");
+const { describe, it, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "linqbridge-ledger-"));
+process.env.LEDGER_DEDUPE_MS = String(86400_000);
+process.env.STATE_DIR = dir;
+
+const { ActionLedger, profileKeyOf, ledger, armLedger, markSendClicked, withJobContext } = require("../worker.cjs");
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+describe("ActionLedger", () => {
+  it("keys the same profile and text the same way however they are written", () => {
+    assert.equal(profileKeyOf("https://www.linkedin.com/in/Jane-Doe/?trk=x"), "jane-doe");
+    assert.equal(profileKeyOf("https://www.linkedin.com/m/in/jane-doe"), "jane-doe");
+    assert.equal(ActionLedger.key("https://www.linkedin.com/in/Jane-Doe/", "message", "Hi Jane,\r\nbye "), ActionLedger.key("https://linkedin.com/in/jane-doe", "message", "Hi Jane,\nbye"));
+    assert.notEqual(ActionLedger.key("https://www.linkedin.com/in/jane-doe/", "message", "Hi"), ActionLedger.key("https://www.linkedin.com/in/jane-doe/", "message", "Hello"));
+    assert.equal(ActionLedger.key("https://www.linkedin.com/in/jane-doe/", "invite", "note A"), ActionLedger.key("https://www.linkedin.com/in/jane-doe/", "invite", "note B"));
+  });
+
+  it("finds a send by job id or content key, per account, after a restart", () => {
+    const stateDir = path.join(dir, "restart");
+    const key = ActionLedger.key("https://www.linkedin.com/in/jane-doe/", "message", "Hi");
+    new ActionLedger(stateDir).record("a@example.com", { jobId: "job_1", key, actionTaken: "sent" });
+
+    const second = new ActionLedger(stateDir);
+    assert.equal(second.find("a@example.com", { jobId: "job_1" }).actionTaken, "sent");
+    assert.equal(second.find("a@example.com", { key }).jobId, "job_1");
+    assert.equal(second.find("a@example.com", { jobId: "job_2" }), null);
+    assert.equal(second.find("b@example.com", { key }), null);
+  });
+
+  it("forgets entries older than LEDGER_DEDUPE_MS", () => {
+    const stateDir = path.join(dir, "expiry");
+    fs.mkdirSync(stateDir, { recursive: true });
+    const old = { jobId: "job_old", key: "jane-doe|message|x", actionTaken: "sent", at: Date.now() - 2 * 86400_000 };
+    fs.writeFileSync(path.join(stateDir, "c_example_com.json"), JSON.stringify({ entries: [old] }));
+    assert.equal(new ActionLedger(stateDir).find("c@example.com", { jobId: "job_old" }), null);
+  });
+
+  it("writes an attempted entry at the Send click and resolves it with the outcome", async () => {
+    const key = ActionLedger.key("https://www.linkedin.com/in/sam/", "message", "Hi Sam");
+    await withJobContext({ id: "job_click", payload: { userId: "d@example.com" } }, async () => {
+      armLedger("d@example.com", key);
+      markSendClicked();
+      markSendClicked();
+    });
+    assert.equal(ledger.find("d@example.com", { jobId: "job_click" }).actionTaken, "attempted");
+    assert.equal(new ActionLedger(path.join(dir, "ledger")).find("d@example.com", { key }).actionTaken, "attempted");
+    ledger.record("d@example.com", { jobId: "job_click", key, actionTaken: "sent" });
+    assert.equal(ledger.find("d@example.com", { key }).actionTaken, "sent");
+    assert.equal(ledger._get("d@example.com").length, 1, "resolved in place, not appended");
+  });
+});
@@ -0,0 +1,53 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.LOG_FORMAT = "json";
+process.env.LOG_LEVEL = "info";
+
+const { log, withJobContext, setStep } = require("../worker.cjs");
+
+function capture(fn) {
+  const lines = [];
+  const out = process.stdout.write, err = process.stderr.write;
+  // The test runner reports over stdout too; keep only our log lines.
+  process.stdout.write = process.stderr.write = function (chunk, ...rest) {
+    if (typeof chunk === "string" && chunk.startsWith('{"ts":')) { lines.push(chunk); return true; }
+    return (this === process.stderr ? err : out).call(this, chunk, ...rest);
+  };
+  return Promise.resolve().then(fn).finally(() => { process.stdout.write = out; process.stderr.write = err; })
+    .then(() => lines.map((l) => JSON.parse(l)));
+}
+
+describe("logger", () => {
+  it("writes one JSON object per line with level, scope and message", async () => {
+    const [line] = await capture(() => log.warn("nav", "goto failed:", "timeout", 3));
+    assert.equal(line.level, "warn");
+    assert.equal(line.scope, "nav");
+    assert.equal(line.msg, "goto failed: timeout 3");
+    assert.ok(!("jobId" in line));
+  });
+
+  it("drops lines below LOG_LEVEL", async () => {
+    assert.deepEqual(await capture(() => log.debug("sprout", "x2")), []);
+  });
+
+  it("marks payload.rehearsal jobs as rehearsals in the job context", async () => {
+    const { jobContext } = require("../worker.cjs");
+    assert.equal(await withJobContext({ id: "r", payload: { rehearsal: true } }, async () => jobContext.getStore().rehearsal), true);
+    assert.equal(await withJobContext({ id: "n", payload: {} }, async () => jobContext.getStore().rehearsal), false);
+  });
+
+  it("tags lines inside a job with its id, type, user and step", async () => {
+    const job = { id: "job_42", type: "SEND_MESSAGE", payload: { userId: "jane@example.com" } };
+    const lines = await capture(() => withJobContext(job, async () => {
+      log.info("throttle", "reserved");
+      setStep("navigate");
+      await new Promise((r) => setTimeout(r, 5));
+      log.info("nav", "→ profile");
+    }));
+    assert.deepEqual(lines.map(({ jobId, jobType, userId, step }) => ({ jobId, jobType, userId, step })), [
+      { jobId: "job_42", jobType: "SEND_MESSAGE", userId: "jane@example.com", step: "start" },
+      { jobId: "job_42", jobType: "SEND_MESSAGE", userId: "jane@example.com", step: "navigate" },
+    ]);
+  });
+});
@@ -0,0 +1,119 @@
+// Automated credential + TOTP login: where credentials come from, that they never reach the logs,
+// and (with a local Chromium) the /login and checkpoint fixtures end to end.
+
+const os = require("os");
+const fs = require("fs");
+const path = require("path");
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { authenticator } = require("otplib");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "linqbridge-login-"));
+const SECRET = "JBSWY3DPEHPK3PXP";
+const credentialsFile = path.join(dir, "credentials.json");
+fs.writeFileSync(credentialsFile, JSON.stringify({
+  "plain@example.com": { email: "plain@example.com", password: "correct-horse" },
+  "totp@example.com": { email: "totp@example.com", password: "correct-horse", totpSecret: "jbsw y3dp ehpk 3pxp" },
+  "pin@example.com": { email: "pin@example.com", password: "correct-horse" },
+  "wrong@example.com": { email: "wrong@example.com", password: "not-it-at-all" },
+  "broken@example.com": { email: "broken@example.com" },
+}));
+Object.assign(process.env, {
+  STATE_DIR: dir,
+  CREDENTIALS_PATH: credentialsFile,
+  LINKEDIN_EMAIL: "env@example.com",
+  LINKEDIN_PASSWORD: "env-password-123",
+  LOG_FORMAT: "json",
+  MICRO_DELAY_MIN_MS: "0",
+  MICRO_DELAY_MAX_MS: "0",
+  LOGIN_TIMEOUT_MS: "5000",
+  STATE_ENCRYPTION_KEY: "33".repeat(32),
+});
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const worker = require("../worker.cjs");
+const { BASE, chromiumAvailable, launchFixtureBrowser } = require("./helpers/fixtures.cjs");
+
+const skip = chromiumAvailable() ? false : "Chromium not installed (run `npx playwright install chromium`)";
+
+describe("credentialsFor", () => {
+  it("reads the secrets file by userId and normalizes the TOTP secret", () => {
+    assert.deepEqual(worker.credentialsFor("TOTP@example.com"), { email: "totp@example.com", password: "correct-horse", totpSecret: SECRET });
+    assert.equal(worker.credentialsFor("nobody@example.com"), null);
+    assert.equal(worker.credentialsFor("broken@example.com"), null);
+  });
+
+  it("reads a credentials file encrypted under STATE_ENCRYPTION_KEY", () => {
+    const plain = fs.readFileSync(credentialsFile, "utf8");
+    try {
+      worker.writeStateFile(credentialsFile, JSON.parse(plain));
+      assert.ok(!fs.readFileSync(credentialsFile, "utf8").includes("correct-horse"));
+      assert.equal(worker.credentialsFor("plain@example.com").password, "correct-horse");
+    } finally { fs.writeFileSync(credentialsFile, plain); }
+  });
+
+  it("falls back to LINKEDIN_* env for that email's account and the default account", () => {
+    assert.equal(worker.credentialsFor("env@example.com").password, "env-password-123");
+    assert.equal(worker.credentialsFor("default").email, "env@example.com");
+    assert.equal(worker.credentialsFor("other@example.com"), null);
+  });
+
+  it("keeps passwords and secrets out of log lines", () => {
+    worker.credentialsFor("totp@example.com");
+    const chunks = [];
+    const out = process.stdout.write;
+    process.stdout.write = (chunk) => { chunks.push(String(chunk)); return true; };
+    try { worker.log.info("login", "oops", { password: "correct-horse", env: "env-password-123", secret: SECRET }); }
+    finally { process.stdout.write = out; }
+    const line = chunks.join("");
+    assert.doesNotMatch(line, /correct-horse|env-password-123|JBSWY3DPEHPK3PXP/);
+    assert.match(line, /\[redacted\]/);
+  });
+
+  it("generates the current authenticator code", async () => {
+    const code = await worker.totpCode(SECRET);
+    assert.match(code, /^\d{6}$/);
+    assert.ok(authenticator.clone({ window: 1 }).check(code, SECRET));
+  });
+});
+
+describe("credentialLogin (fixtures)", { skip }, () => {
+  let browser, context;
+  before(async () => { ({ browser, context } = await launchFixtureBrowser()); });
+  after(async () => { await browser?.close(); });
+
+  const login = async (userId) => {
+    const page = await context.newPage();
+    page.setDefaultTimeout(5000);
+    const result = await worker.credentialLogin(page, userId, worker.credentialsFor(userId));
+    return { page, result };
+  };
+
+  it("signs in with email and password", async () => {
+    const { page, result } = await login("plain@example.com");
+    assert.deepEqual(result, { ok: true });
+    assert.equal(page.url(), `${BASE}/feed/`);
+    await page.close();
+  });
+
+  it("answers the authenticator challenge with the TOTP code", async () => {
+    const { page, result } = await login("totp@example.com");
+    assert.deepEqual(result, { ok: true });
+    const pin = await page.evaluate(() => sessionStorage.getItem("pin"));
+    assert.ok(authenticator.clone({ window: 1 }).check(pin, SECRET));
+    await page.close();
+  });
+
+  it("stops at a checkpoint it cannot answer", async () => {
+    const { page, result } = await login("pin@example.com");
+    assert.deepEqual(result, { ok: false, reason: "checkpoint" });
+    await page.close();
+  });
+
+  it("reports a wrong password and does not retry the same credentials", async () => {
+    const { page, result } = await login("wrong@example.com");
+    assert.deepEqual(result, { ok: false, reason: "wrong_password" });
+    assert.equal(worker.credentialsFor("wrong@example.com"), null);
+    await page.close();
+  });
+});
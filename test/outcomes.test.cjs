@@ -0,0 +1,73 @@
+const os = require("os");
+const fs = require("fs");
+const path = require("path");
+const { describe, it, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { classifyResult, classifyError, outcomeDecision, JobError, JobAttempts } = require("../worker.cjs");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "linqbridge-attempts-"));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+describe("classifyResult", () => {
+  it("prefers the explicit outcome", () => {
+    assert.equal(classifyResult({ outcome: "selector_broken", actionTaken: "unavailable" }), "selector_broken");
+  });
+
+  it("maps legacy result shapes", () => {
+    assert.equal(classifyResult({ actionTaken: "sent_without_note" }), "success");
+    assert.equal(classifyResult({ actionTaken: "none" }), "success");
+    assert.equal(classifyResult({ ok: true }), "success");
+    assert.equal(classifyResult({ ok: false, reason: "interactive_timeout" }), "auth_required");
+    assert.equal(classifyResult({ actionTaken: "page_not_found" }), "permanent_not_found");
+    assert.equal(classifyResult({ actionTaken: "rate_limited" }), "rate_limited");
+    assert.equal(classifyResult({ actionTaken: "failed_to_send" }), "transient");
+  });
+});
+
+describe("classifyError", () => {
+  it("uses JobError codes and treats anything else as transient", () => {
+    assert.equal(classifyError(new JobError("invalid_job", "payload.message required")), "invalid_job");
+    assert.equal(classifyError(new Error("Target closed")), "transient");
+  });
+});
+
+describe("outcomeDecision", () => {
+  it("completes successes and ineligible targets", () => {
+    assert.deepEqual(outcomeDecision("success"), { outcome: "success", report: "complete", requeue: false, delayMs: 0 });
+    assert.equal(outcomeDecision("not_eligible").report, "complete");
+  });
+
+  it("never retries permanent failures", () => {
+    assert.deepEqual(outcomeDecision("permanent_not_found", 1), { outcome: "permanent_not_found", report: "fail", requeue: false, delayMs: 0 });
+  });
+
+  it("never retries an unconfirmed send", () => {
+    assert.deepEqual(outcomeDecision("unconfirmed", 1), { outcome: "unconfirmed", report: "fail", requeue: false, delayMs: 0 });
+    assert.equal(classifyResult({ outcome: "unconfirmed", actionTaken: "unconfirmed" }), "unconfirmed");
+  });
+
+  it("backs off exponentially and gives up after maxAttempts", () => {
+    const first = outcomeDecision("transient", 1);
+    const third = outcomeDecision("transient", 3);
+    assert.equal(first.requeue, true);
+    assert.ok(first.delayMs >= 120_000 && first.delayMs <= 132_000);
+    assert.ok(third.delayMs >= 480_000 && third.delayMs <= 492_000);
+    assert.equal(outcomeDecision("transient", 5).requeue, false);
+    assert.ok(outcomeDecision("rate_limited", 1).delayMs >= 3600_000);
+  });
+});
+
+describe("JobAttempts", () => {
+  it("counts runs per job across restarts, so retries stop without an API attempts field", () => {
+    const file = path.join(dir, "attempts.json");
+    const a = new JobAttempts(file);
+    assert.equal(a.next({ id: "j1" }), 1);
+    assert.equal(a.next({ id: "j1" }), 2);
+    const b = new JobAttempts(file);
+    assert.equal(b.next({ id: "j1" }), 3);
+    assert.equal(b.next({ id: "j2", attempts: 4 }), 4);
+    b.forget("j1");
+    assert.equal(new JobAttempts(file).next({ id: "j1" }), 1);
+  });
+});
@@ -0,0 +1,296 @@
+// Offline selector regression suite: runs the worker's detection and dialog helpers
+// under Playwright against the HTML fixtures in test/fixtures.
+//
+// Needs a local Chromium (`npx playwright install chromium`); the browser tests are
+// skipped, not failed, when it is missing.
+
+process.env.MICRO_DELAY_MIN_MS = "0";
+process.env.MICRO_DELAY_MAX_MS = "0";
+process.env.FORCE_NO_NOTES = "false";
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const worker = require("../worker.cjs");
+const { BASE, chromiumAvailable, launchFixtureBrowser, openFixture } = require("./helpers/fixtures.cjs");
+
+const skip = chromiumAvailable() ? false : "Chromium not installed (run `npx playwright install chromium`)";
+
+describe("url helpers", () => {
+  it("recognises profile and feed urls on both hosts", () => {
+    assert.equal(worker.isProfileUrl("https://www.linkedin.com/in/jane-first/"), true);
+    assert.equal(worker.isProfileUrl("https://m.linkedin.com/in/jane-first/"), true);
+    assert.equal(worker.isProfileUrl("https://www.linkedin.com/search/results/people/?keywords=x"), false);
+    assert.equal(worker.isFeedUrl("https://www.linkedin.com/feed/"), true);
+    assert.equal(worker.isFeedUrl("https://www.linkedin.com/feed/?trk=x"), true);
+    assert.equal(worker.isFeedUrl("https://www.linkedin.com/in/jane-first/"), false);
+  });
+});
+
+describe("relationship detection and dialogs (fixtures)", { skip }, () => {
+  let browser, context;
+  before(async () => { ({ browser, context } = await launchFixtureBrowser()); });
+  after(async () => { await browser?.close(); });
+
+  describe("getConnectionDegree", () => {
+    for (const [fixture, degree] of [["first-degree", "1st"], ["second-degree", "2nd"], ["connect-under-more", "3rd"]]) {
+      it(`reads ${degree} from ${fixture}`, async () => {
+        const page = await openFixture(context, fixture);
+        assert.equal(await worker.getConnectionDegree(page), degree);
+        await page.close();
+      });
+    }
+  });
+
+  describe("detectRelationshipStatus", () => {
+    it("treats a 1st-degree badge as connected", async () => {
+      const page = await openFixture(context, "first-degree");
+      assert.deepEqual(await worker.detectRelationshipStatus(page), { status: "connected", reason: 'Degree badge "1st"' });
+      await page.close();
+    });
+
+    it("reports a pending invitation", async () => {
+      const page = await openFixture(context, "pending");
+      assert.equal((await worker.detectRelationshipStatus(page)).status, "pending");
+      await page.close();
+    });
+
+    it("sees a primary Connect button on 2nd-degree profiles", async () => {
+      const page = await openFixture(context, "second-degree");
+      assert.deepEqual(await worker.detectRelationshipStatus(page), { status: "not_connected", reason: "Connect button visible" });
+      await page.close();
+    });
+
+    it("falls back to More when Connect is hidden", async () => {
+      const page = await openFixture(context, "connect-under-more");
+      assert.deepEqual(await worker.detectRelationshipStatus(page), { status: "not_connected", reason: "Connect may be under More" });
+      await page.close();
+    });
+
+    it("does not mistake an InMail/Open Profile Message button for a connection", async () => {
+      const page = await openFixture(context, "inmail-open-profile");
+      assert.equal(await worker.looksLikeInMailOrOpenProfile(page), true);
+      assert.deepEqual(await worker.detectRelationshipStatus(page), { status: "not_connected", reason: "Message is InMail/Open Profile (not 1st)" });
+      await page.close();
+    });
+  });
+
+  describe("connect dialog", () => {
+    it("opens via the primary Connect button and sends without a note", async () => {
+      const page = await openFixture(context, "second-degree");
+      assert.deepEqual(await worker.openConnectDialog(page), { opened: true, via: "primary" });
+      assert.deepEqual(await worker.completeConnectDialog(page, null), { sent: true, withNote: false });
+      assert.equal((await worker.detectRelationshipStatus(page)).status, "pending");
+      await page.close();
+    });
+
+    it("sends a personalized note through Add a note", async () => {
+      const page = await openFixture(context, "second-degree");
+      await worker.openConnectDialog(page);
+      assert.deepEqual(await worker.completeConnectDialog(page, "Hi Sam, loved your talk on caching."), { sent: true, withNote: true });
+      assert.equal(await page.locator("body").getAttribute("data-sent-note"), "Hi Sam, loved your talk on caching.");
+      await page.close();
+    });
+
+    it("rehearses an invite with a note without sending it", async () => {
+      const page = await openFixture(context, "second-degree");
+      const rehearsal = { id: "r1", type: "SEND_CONNECTION", payload: { rehearsal: true } };
+      const out = await worker.withJobContext(rehearsal, () => worker.sendConnectionRequest(page, "Hi Sam"));
+      assert.equal(out.actionTaken, "rehearsed");
+      assert.equal(out.wouldSend, "invite_with_note");
+      assert.equal(out.sendControl.group, "inviteSendButton");
+      assert.equal(await page.getByRole("dialog").count(), 0);
+      assert.equal(await page.locator("body").getAttribute("data-sent-note"), null);
+      assert.equal((await worker.detectRelationshipStatus(page)).status, "not_connected");
+      await page.close();
+    });
+
+    it("falls back to a plain invite when the note quota is used up", async () => {
+      const page = await openFixture(context, "note-quota");
+      const out = await worker.sendConnectionRequest(page, "Hi Nora");
+      assert.equal(out.actionTaken, "sent_without_note");
+      assert.equal(out.withNote, false);
+      assert.equal(out.noteSkipped, true);
+      assert.equal(out.noteSkippedReason, "note_quota_exhausted");
+      assert.equal(await page.locator("body").getAttribute("data-sent-note"), null);
+      await page.close();
+    });
+
+    it("opens Connect from the More menu", async () => {
+      const page = await openFixture(context, "connect-under-more");
+      assert.deepEqual(await worker.openConnectDialog(page), { opened: true, via: "more_menu" });
+      await page.close();
+    });
+
+    it("never clicks the Sales Navigator menu item", async () => {
+      const page = await openFixture(context, "sales-navigator-menu");
+      assert.deepEqual(await worker.openConnectDialog(page), { opened: false });
+      assert.equal(page.url(), `${BASE}/in/sales-navigator-menu/`);
+      await page.close();
+    });
+
+    it("recovers from a misclick into people search", async () => {
+      const page = await openFixture(context, "people-search-misclick");
+      assert.deepEqual(await worker.openConnectDialog(page), { opened: false });
+      assert.equal(page.url(), `${BASE}/in/people-search-misclick/`);
+      await page.close();
+    });
+
+    it("sendConnectionRequest leaves pending invitations alone", async () => {
+      const page = await openFixture(context, "pending");
+      const out = await worker.sendConnectionRequest(page, null);
+      assert.equal(out.actionTaken, "none");
+      assert.equal(out.relationshipStatus, "pending");
+      await page.close();
+    });
+
+    it("sendConnectionRequest sends a plain invite end to end", async () => {
+      const page = await openFixture(context, "connect-under-more");
+      const out = await worker.sendConnectionRequest(page, null);
+      assert.equal(out.actionTaken, "sent_without_note");
+      await page.close();
+    });
+  });
+
+  describe("German UI", () => {
+    it("picks the de pack from <html lang> and reads the degree badge", async () => {
+      const page = await openFixture(context, "second-degree-de");
+      assert.equal(await worker.getConnectionDegree(page), "2nd");
+      assert.deepEqual(await worker.detectRelationshipStatus(page), { status: "not_connected", reason: "Connect button visible" });
+      await page.close();
+    });
+
+    it("does not take endorsement buttons for a security check", async () => {
+      const page = await openFixture(context, "second-degree-de");
+      assert.equal(await worker.detectHardScreen(page), null);
+      await page.close();
+    });
+
+    it("opens Vernetzen and sends without a note", async () => {
+      const page = await openFixture(context, "second-degree-de");
+      assert.deepEqual(await worker.openConnectDialog(page), { opened: true, via: "primary" });
+      assert.deepEqual(await worker.completeConnectDialog(page, null), { sent: true, withNote: false });
+      assert.equal((await worker.detectRelationshipStatus(page)).status, "pending");
+      await page.close();
+    });
+  });
+
+  describe("message dialog", () => {
+    it("opens the composer on a 1st-degree profile", async () => {
+      const page = await openFixture(context, "first-degree");
+      assert.deepEqual(await worker.openMessageDialog(page), { opened: true, via: "primary" });
+      await page.close();
+    });
+
+    it("sends a message and it lands in the thread", async () => {
+      const page = await openFixture(context, "first-degree");
+      const out = await worker.sendMessageFlow(page, "Hi Jane, great to connect!");
+      assert.equal(out.actionTaken, "sent");
+      const last = await page.locator(".msg-s-event-listitem--outgoing").last().innerText();
+      assert.equal(last.trim(), "Hi Jane, great to connect!");
+      await page.close();
+    });
+
+    it("keeps a multi-line message with emoji in one bubble", async () => {
+      const page = await openFixture(context, "first-degree");
+      const text = "Hi Jane,\n\nLoved the launch 🚀👩🏽‍💻\nTalk soon — 𝓐";
+      await worker.openMessageDialog(page);
+      assert.deepEqual(await worker.typeIntoComposer(page, text), { ok: true });
+      assert.equal(await page.locator(".msg-s-event-listitem--outgoing").count(), 0, "nothing sent while typing");
+      assert.deepEqual(await worker.clickSendInComposer(page, text), { status: "sent" });
+      const bubbles = page.locator(".msg-s-event-listitem--outgoing");
+      assert.equal(await bubbles.count(), 1);
+      assert.equal(worker.normalizeComposerText(await bubbles.first().textContent()), worker.normalizeComposerText(text));
+      await page.close();
+    });
+
+    it("replaces an old draft instead of typing after it", async () => {
+      const page = await openFixture(context, "first-degree");
+      await worker.openMessageDialog(page);
+      await page.locator(".msg-form__contenteditable").evaluate((el) => { el.innerHTML = "<p>Old draft</p><p>second line</p>"; });
+      assert.deepEqual(await worker.typeIntoComposer(page, "Hello there"), { ok: true });
+      assert.equal((await page.locator(".msg-form__contenteditable").innerText()).trim(), "Hello there");
+      await page.close();
+    });
+
+    it("reports a send-failure toast as failed_to_send, without a retry", async () => {
+      const page = await openFixture(context, "first-degree");
+      await page.evaluate(() => { document.body.dataset.messageSend = "error"; });
+      const out = await worker.sendMessageFlow(page, "Hello there");
+      assert.equal(out.outcome, "unconfirmed");
+      assert.equal(out.actionTaken, "failed_to_send");
+      assert.match(out.details, /Message failed to send/);
+      await page.close();
+    });
+
+    it("ignores error markers left on older messages in the thread", async () => {
+      const page = await openFixture(context, "first-degree");
+      await worker.openMessageDialog(page);
+      await page.locator(".msg-s-message-list-content").evaluate((ul) => {
+        ul.innerHTML = '<li class="msg-s-event-listitem--outgoing"><p>Old one</p><span class="msg-s-event-listitem__error">Not delivered</span></li>';
+      });
+      const out = await worker.sendMessageFlow(page, "Hello there");
+      assert.equal(out.actionTaken, "sent");
+      await page.close();
+    });
+
+    it("reports an error that follows the bubble as unconfirmed, not as a failed send", async () => {
+      const page = await openFixture(context, "first-degree");
+      await page.evaluate(() => { document.body.dataset.messageSend = "late-error"; });
+      const out = await worker.sendMessageFlow(page, "Hello there");
+      assert.equal(out.outcome, "unconfirmed");
+      assert.match(out.details, /after the message appeared/);
+      await page.close();
+    });
+
+    it("returns unconfirmed when the message never shows up in the thread", async () => {
+      const page = await openFixture(context, "first-degree");
+      await page.evaluate(() => { document.body.dataset.messageSend = "drop"; });
+      await worker.openMessageDialog(page);
+      await worker.typeIntoComposer(page, "Hello there");
+      assert.deepEqual(await worker.confirmDelivery(page, "Hello there", undefined, 500), { status: "unconfirmed", details: "No new outgoing message in the thread" });
+      await page.locator(".msg-form__send-button").click();
+      assert.equal((await worker.confirmDelivery(page, "Hello there", undefined, 500)).status, "unconfirmed");
+      await page.close();
+    });
+
+    it("does not confirm an older bubble with different text", async () => {
+      const page = await openFixture(context, "first-degree");
+      await worker.openMessageDialog(page);
+      await worker.typeIntoComposer(page, "First");
+      await page.locator(".msg-form__send-button").click();
+      assert.deepEqual(await worker.confirmDelivery(page, "First", undefined, 500), { status: "sent" });
+      assert.deepEqual(await worker.confirmDelivery(page, "Second", { messages: 1, errors: [] }, 500), { status: "unconfirmed", details: "No new outgoing message in the thread" });
+      assert.deepEqual(await worker.confirmDelivery(page, "Second", undefined, 500), { status: "unconfirmed", details: "Latest outgoing message does not match the text sent" });
+      await page.close();
+    });
+
+    it("reports already_sent when the thread already ends with the same message", async () => {
+      const page = await openFixture(context, "first-degree");
+      assert.equal((await worker.sendMessageFlow(page, "Hi Jane, great to connect!")).actionTaken, "sent");
+      const again = await worker.sendMessageFlow(page, "Hi Jane, great to connect! ");
+      assert.equal(again.actionTaken, "already_sent");
+      assert.equal(await page.locator(".msg-s-event-listitem--outgoing").count(), 1);
+      await page.close();
+    });
+
+    it("rehearses a message: typed and verified, then cleared instead of sent", async () => {
+      const page = await openFixture(context, "first-degree");
+      const out = await worker.withJobContext({ id: "r2", payload: { rehearsal: true } }, () => worker.sendMessageFlow(page, "Hi Jane"));
+      assert.equal(out.actionTaken, "rehearsed");
+      assert.deepEqual(out.sendControl, { group: "messageSendButton", id: "role-send" });
+      assert.equal(await page.locator(".msg-s-event-listitem--outgoing").count(), 0);
+      assert.equal((await page.locator(".msg-form__contenteditable").innerText()).trim(), "");
+      await page.close();
+    });
+
+    it("refuses to message through InMail/Open Profile", async () => {
+      const page = await openFixture(context, "inmail-open-profile");
+      const out = await worker.sendMessageFlow(page, "Hello");
+      assert.equal(out.actionTaken, "unavailable");
+      assert.match(out.details, /InMail\/Open Profile/);
+      assert.equal(await page.locator(".msg-overlay-conversation-bubble").count(), 0);
+      await page.close();
+    });
+  });
+});
@@ -0,0 +1,72 @@
+const os = require("os");
+const fs = require("fs");
+const path = require("path");
+const { describe, it, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "linqbridge-schedule-"));
+process.env.STATE_DIR = dir;
+process.env.DAILY_MESSAGE_LIMIT = "1";
+process.env.ACTIVE_TIMEZONE = "UTC";
+process.env.SUPPRESSION_SYNC = "false"; // the sync gate has its own tests
+fs.writeFileSync(path.join(dir, "accounts.json"), JSON.stringify({
+  "berlin@example.com": { timezone: "Europe/Berlin", activeDays: "Mon–Fri", activeHours: "09:00–18:00" },
+  "typo@example.com": { activeHours: "9am-5pm" },
+}));
+
+const { parseActiveDays, parseActiveHours, windowDelay, accountPolicy, deferralFor } = require("../worker.cjs");
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// 2026-10-19 is a Monday
+const at = (iso) => Date.parse(iso);
+
+describe("activity window", () => {
+  it("parses day ranges, lists and wrap-around", () => {
+    assert.deepEqual([...parseActiveDays("Mon-Fri")].sort(), [1, 2, 3, 4, 5]);
+    assert.deepEqual([...parseActiveDays("mon, wed,Fri")].sort(), [1, 3, 5]);
+    assert.deepEqual([...parseActiveDays("Fri-Mon")].sort(), [0, 1, 5, 6]);
+    assert.equal(parseActiveDays("").size, 7);
+    assert.throws(() => parseActiveDays("Funday"), /Invalid active days/);
+    assert.deepEqual(parseActiveHours("09:00-18:30"), { start: 540, end: 1110 });
+    assert.throws(() => parseActiveHours("9am-5pm"), /Invalid active hours/);
+    assert.throws(() => parseActiveHours("09:00-25:00"), /Invalid active hours/);
+  });
+
+  it("is open inside the window and computes the wait otherwise", () => {
+    const policy = { timezone: "UTC", activeDays: "Mon-Fri", activeHours: "09:00-18:00" };
+    assert.equal(windowDelay(at("2026-10-19T10:00:00Z"), policy), 0);
+    assert.equal(windowDelay(at("2026-10-19T08:30:00Z"), policy), 30 * 60_000);
+    assert.equal(windowDelay(at("2026-10-19T18:00:00Z"), policy), 15 * 3600_000);
+    // Saturday noon → Monday 09:00
+    assert.equal(windowDelay(at("2026-10-24T12:00:00Z"), policy), 45 * 3600_000);
+  });
+
+  it("uses the account owner's timezone", () => {
+    const policy = accountPolicy("berlin@example.com");
+    assert.equal(policy.timezone, "Europe/Berlin");
+    // 08:00 UTC is 10:00 in Berlin (CEST)
+    assert.equal(windowDelay(at("2026-10-19T08:00:00Z"), policy), 0);
+    assert.equal(windowDelay(at("2026-10-19T06:00:00Z"), policy), 60 * 60_000);
+  });
+});
+
+describe("deferralFor", () => {
+  it("ignores AUTH_CHECK and accounts with room", () => {
+    assert.equal(deferralFor({ type: "AUTH_CHECK", payload: { userId: "x" } }), null);
+    assert.equal(deferralFor({ type: "SEND_MESSAGE", payload: { userId: "fresh@example.com" } }), null);
+  });
+
+  it("requeues jobs over quota with a delay", () => {
+    const { AccountThrottle } = require("../worker.cjs");
+    new AccountThrottle(path.join(dir, "throttle")).record("busy@example.com", "message");
+    const d = deferralFor({ type: "SEND_MESSAGE", payload: { userId: "busy@example.com" } });
+    assert.ok(d.delayMs > 86000_000);
+    assert.match(d.reason, /daily message quota/);
+    assert.equal(deferralFor({ type: "SEND_CONNECTION", payload: { userId: "busy@example.com" } }), null);
+  });
+  it("defers instead of sending when the account's window is invalid", () => {
+    const d = deferralFor({ type: "SEND_MESSAGE", payload: { userId: "typo@example.com" } });
+    assert.ok(d.delayMs >= 30 * 60_000);
+    assert.match(d.reason, /invalid activity window: Invalid active hours: 9am-5pm/);
+  });
+});
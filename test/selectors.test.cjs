@@ -0,0 +1,170 @@
+// Selector registry: document validation, API refresh and per-job matched-candidate telemetry.
+
+const os = require("os");
+const fs = require("fs");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createMockApi } = require("./helpers/mock-api.cjs");
+
+const SECRET = "selectors-secret";
+const bundled = JSON.parse(fs.readFileSync(path.join(__dirname, "..", "selectors.json"), "utf8"));
+let api, worker, tmpDir;
+
+before(async () => {
+  api = await createMockApi({ secret: SECRET }).listen();
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "linqbridge-selectors-"));
+  Object.assign(process.env, { API_BASE: api.url, WORKER_SHARED_SECRET: SECRET, STATE_DIR: tmpDir, SELECTORS_SOURCE: "api" });
+  worker = require("../worker.cjs");
+});
+
+after(async () => {
+  await api?.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// Records what was asked for instead of touching a browser
+const fakePage = {
+  getByRole: (role, opts) => ({ kind: "role", role, opts }),
+  getByText: (text) => ({ kind: "text", text }),
+  locator: (css) => ({ kind: "css", css, filter: (f) => ({ kind: "css", css, f, locator: (then) => ({ then }) }) }),
+};
+
+describe("selector registry", () => {
+  it("starts from the bundled selectors.json", () => {
+    assert.equal(worker.selectors.version, bundled.version);
+  });
+
+  it("rejects documents with a missing group, no id or a bad regex", () => {
+    const without = structuredClone(bundled);
+    delete without.selectors.moreButton;
+    assert.throws(() => worker.compileSelectorRegistry(without), /group "moreButton" missing/);
+    const noId = structuredClone(bundled);
+    delete noId.selectors.moreButton[0].id;
+    assert.throws(() => worker.compileSelectorRegistry(noId), /moreButton\[0\] has no id/);
+    const badRe = structuredClone(bundled);
+    badRe.selectors.pendingButton[0].name = "(";
+    assert.throws(() => worker.compileSelectorRegistry(badRe), /pendingButton\[0\]/);
+  });
+
+  it("compiles every group the worker looks up", () => {
+    const source = fs.readFileSync(path.join(__dirname, "..", "worker.cjs"), "utf8");
+    const used = new Set();
+    for (const [, name] of source.matchAll(/(?:firstVisible|waitForAny|visibleCounts|sel|locators|matchesText)\(\w+, "(\w+)"/g)) used.add(name);
+    for (const [, name] of source.matchAll(/matchesText\("(\w+)"/g)) used.add(name);
+    for (const [, list] of source.matchAll(/(?:rehearse\(|findSendControl\(\w+, )\[([^\]]+)\]/g)) {
+      for (const [, name] of list.matchAll(/"(\w+)"/g)) used.add(name);
+    }
+    const compiled = worker.compileSelectorRegistry(bundled).groups.en;
+    assert.ok(used.has("loginEmail") && used.has("totpSubmit"));
+    for (const name of [...used, ...Object.keys(bundled.selectors)]) assert.ok(compiled[name], `selector group ${name} is not compiled`);
+  });
+
+  it("builds locators from candidates in order", () => {
+    const [role, css, , last] = worker.selectors.locators(fakePage, "connectButton");
+    assert.equal(role.role, "button");
+    assert.ok(role.opts.name.test("Invite Sam to connect"));
+    assert.equal(css.css, 'button[aria-label="Connect"]');
+    assert.ok(last.f.hasText.test(" Connect "));
+    assert.throws(() => worker.selectors.locators(fakePage, "nope"), /Unknown selector group/);
+  });
+
+  it("pulls a newer version from the API and keeps it when the next one is invalid", async () => {
+    api.setSelectors({ ...structuredClone(bundled), version: "2099-01-01.1" });
+    await worker.refreshSelectors();
+    assert.equal(worker.selectors.version, "2099-01-01.1");
+    api.setSelectors({ version: "2099-01-02.1", selectors: {} });
+    await worker.refreshSelectors();
+    assert.equal(worker.selectors.version, "2099-01-01.1");
+  });
+
+  it("records the matched candidate on the running job", async () => {
+    const ctx = await worker.withJobContext({ id: "j1", type: "SEND_MESSAGE", payload: {} }, async () => {
+      const locs = worker.selectors.locators(fakePage, "messageButton");
+      worker.selectors.match(locs[2]);
+      worker.selectors.match({ not: "a registry locator" });
+      return worker.jobContext.getStore();
+    });
+    assert.deepEqual(ctx.selectors, { version: worker.selectors.version, locale: "en", matched: { messageButton: "button-aria-prefix" } });
+    assert.match(worker.metrics.render(), /linqbridge_selector_matches_total\{candidate="button-aria-prefix",group="messageButton",locale="en",version="[^"]+"\} 1/);
+  });
+});
+
+describe("a broken selectors.json", () => {
+  // Read at require time, so each case loads the worker in a fresh process
+  const load = (source) => {
+    const file = path.join(tmpDir, "broken-selectors.json");
+    fs.writeFileSync(file, "{ not json");
+    const script = 'const w = require("./worker.cjs"); console.log(JSON.stringify({ version: w.selectors.version, deferral: w.deferralFor({ type: "SEND_MESSAGE", payload: { userId: "x" } }) }))';
+    return spawnSync(process.execPath, ["-e", script], {
+      cwd: path.join(__dirname, ".."), encoding: "utf8", timeout: 20000,
+      env: { ...process.env, SELECTORS_PATH: file, SELECTORS_SOURCE: source, SUPPRESSION_SYNC: "false", STATE_DIR: tmpDir },
+    });
+  };
+
+  it("is fatal when the file is the only source", () => {
+    assert.notEqual(load("file").status, 0);
+  });
+
+  it("defers sends until the API's registry arrives when SELECTORS_SOURCE=api", () => {
+    const run = load("api");
+    assert.equal(run.status, 0, run.stderr);
+    const out = JSON.parse(run.stdout.trim().split("\n").pop());
+    assert.equal(out.version, null);
+    assert.match(out.deferral.reason, /no selector registry loaded yet/);
+  });
+});
+
+describe("locale packs", () => {
+  it("fills labels per locale: regex alternations and one css entry per label", () => {
+    const [role, css, , exact] = worker.selectors.locators(fakePage, "connectButton", "de");
+    assert.ok(role.opts.name.test("Mit Sam Vernetzen"));
+    assert.equal(css.css, 'button[aria-label="Vernetzen"]');
+    assert.ok(exact.f.hasText.test(" Vernetzen "));
+    const [mobile] = worker.selectors.locators(fakePage, "messageButtonMobile", "es");
+    assert.equal(mobile.css, 'button:has-text("Mensaje"), a:has-text("Mensaje"), button:has-text("Enviar mensaje"), a:has-text("Enviar mensaje")');
+    assert.equal(worker.selectors.locators(fakePage, "connectButton", "it")[1].css, 'button[aria-label="Connect"]');
+  });
+
+  it("maps BCP 47 tags to packs and reads degree labels", () => {
+    assert.equal(worker.selectors.localeFor("de-DE"), "de");
+    assert.equal(worker.selectors.localeFor("FR"), "fr");
+    assert.equal(worker.selectors.localeFor("it-IT"), null);
+    assert.equal(worker.selectors.startsWithLabel("de", "degree1", "1. Grad"), true);
+    assert.equal(worker.selectors.startsWithLabel("fr", "degree2", "2e"), true);
+    assert.equal(worker.selectors.startsWithLabel("en", "degree1", "1stly"), false);
+  });
+
+  it("flags security checks by title or full prompt, not by words on ordinary profiles", async () => {
+    const page = (url, title, body, lang) => ({ url: () => url, title: async () => title, locator: () => ({ innerText: async () => body }), evaluate: async () => lang });
+    const profile = "Kenntnisse · Qualitätssicherung · Bestätigen · Kontaktdaten verifizieren";
+    assert.equal(await worker.detectHardScreen(page("https://www.linkedin.com/in/sam/", "Sam | LinkedIn", profile, "de-DE")), null);
+    assert.equal(await worker.detectHardScreen(page("https://www.linkedin.com/in/ana/", "Ana | LinkedIn", "Solicitar verificación · Vérifier", "es")), null);
+    assert.equal(await worker.detectHardScreen(page("https://www.linkedin.com/checkpoint/challenge/x", "LinkedIn", "", "de-DE")), "captcha");
+    assert.equal(await worker.detectHardScreen(page("https://www.linkedin.com/feed/", "Sicherheitsüberprüfung | LinkedIn", "", "de-DE")), "captcha");
+    assert.equal(await worker.detectHardScreen(page("https://www.linkedin.com/feed/", "LinkedIn", "Let’s do a quick security check", "en")), "captcha");
+  });
+
+  it("rejects a registry that uses an unknown label", () => {
+    const doc = structuredClone(bundled);
+    doc.selectors.moreButton[0].name = "^{{nope}}$";
+    assert.throws(() => worker.compileSelectorRegistry(doc), /unknown label \{\{nope\}\}/);
+  });
+
+  it("detects the page locale from <html lang>, unless the job pins one", async () => {
+    const page = { evaluate: async () => "es-ES" };
+    assert.equal(await worker.detectPageLocale(page), "es");
+    const pinned = await worker.withJobContext({ id: "j2", payload: {} }, async () => {
+      worker.jobContext.getStore().locale = "fr";
+      return worker.detectPageLocale(page);
+    });
+    assert.equal(pinned, "fr");
+  });
+
+  it("builds accept-language from the account locale", () => {
+    assert.equal(worker.acceptLanguage("en-US"), "en-US,en;q=0.9");
+    assert.equal(worker.acceptLanguage("de-DE"), "de-DE,de;q=0.9,en;q=0.8");
+  });
+});
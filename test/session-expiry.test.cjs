@@ -0,0 +1,109 @@
+// Session expiry watch: stored cookie checks, AUTH_REQUIRED reports and SEND deferral (no browser needed).
+
+const os = require("os");
+const fs = require("fs");
+const path = require("path");
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createMockApi } = require("./helpers/mock-api.cjs");
+
+const SECRET = "expiry-secret";
+let api, worker, tmpDir;
+
+const liAt = (expiresInSec) => ({ cookies: [{ name: "li_at", value: "AQEDAT-x", domain: ".www.linkedin.com", path: "/", expires: expiresInSec === -1 ? -1 : Date.now() / 1000 + expiresInSec }], origins: [] });
+
+before(async () => {
+  api = await createMockApi({ secret: SECRET }).listen();
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "linqbridge-expiry-"));
+  Object.assign(process.env, {
+    API_BASE: api.url,
+    WORKER_SHARED_SECRET: SECRET,
+    STATE_DIR: tmpDir,
+    STORAGE_STATE_PATH: path.join(tmpDir, "none.json"),
+    CREDENTIALS_PATH: path.join(tmpDir, "credentials.json"),
+    STATE_ENCRYPTION_KEY: "22".repeat(32),
+    SOFT_MODE: "true",
+    MIN_GAP_MS: "0",
+    API_RETRIES: "0",
+    OUTBOX_RETRY_BASE_MS: "0",
+  });
+  worker = require("../worker.cjs");
+});
+
+after(async () => {
+  await api?.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+beforeEach(() => { api.heal(); api.authStatuses.length = 0; });
+
+describe("sessionCookieStatus", () => {
+  it("judges the stored li_at by its expiry", () => {
+    const { sessionCookieStatus } = worker;
+    assert.equal(sessionCookieStatus(liAt(30 * 86400)).status, "ok");
+    assert.equal(sessionCookieStatus(liAt(3600)).status, "expiring");
+    assert.equal(sessionCookieStatus(liAt(-60)).status, "expired");
+    assert.equal(sessionCookieStatus(liAt(-1)).status, "ok");
+    assert.equal(sessionCookieStatus({ cookies: [{ name: "JSESSIONID", domain: ".linkedin.com", expires: 1 }] }).status, "unknown");
+  });
+});
+
+describe("account auth status", () => {
+  it("reports AUTH_REQUIRED once per change and AUTHENTICATED when the account is back", async () => {
+    const { accountAuth } = worker;
+    await accountAuth.required("a@example.com", "authwall");
+    await accountAuth.required("a@example.com", "authwall");
+    await accountAuth.ok("a@example.com", "credentials");
+    assert.deepEqual(api.authStatuses.map((s) => [s.userId, s.status, s.reason]), [
+      ["a@example.com", "AUTH_REQUIRED", "authwall"],
+      ["a@example.com", "AUTHENTICATED", null],
+    ]);
+  });
+
+  it("retries a report the API did not take on the next session check", async () => {
+    const { accountAuth, revalidateSessions } = worker;
+    api.breakRoute(/auth-status/, 1);
+    await accountAuth.required("b@example.com", "checkpoint");
+    assert.equal(api.authStatuses.length, 0);
+    await revalidateSessions();
+    assert.deepEqual(api.authStatuses.map((s) => [s.userId, s.status]), [["b@example.com", "AUTH_REQUIRED"]]);
+  });
+
+  it("flags an account whose stored cookie expired in the background check", async () => {
+    const { accountAuth, writeStateFile, revalidateSessions } = worker;
+    await accountAuth.ok("c@example.com");
+    writeStateFile(path.join(tmpDir, "sessions", "c_example_com.json"), liAt(-60));
+    api.authStatuses.length = 0;
+    await revalidateSessions();
+    assert.equal(accountAuth.get("c@example.com").status, "auth_required");
+    assert.match(api.authStatuses.find((s) => s.userId === "c@example.com").reason, /session cookie expired/);
+  });
+});
+
+describe("SEND jobs of an account that must sign in again", () => {
+  it("are deferred, not failed, while AUTH_CHECK still runs", async () => {
+    const { writeStateFile, processOne } = worker;
+    writeStateFile(path.join(tmpDir, "sessions", "d_example_com.json"), liAt(-60));
+    const send = api.enqueue("SEND_MESSAGE", { userId: "d@example.com", profileUrl: "https://www.linkedin.com/in/x/", message: "Hi" });
+    await processOne();
+    const job = api.jobs.get(send);
+    assert.equal(job.state, "queued");
+    assert.ok(job.availableAt > Date.now() + 25 * 60_000);
+    assert.match(job.lastError, /Deferred: account needs to sign in again/);
+    assert.equal(api.authStatuses.find((s) => s.userId === "d@example.com").status, "AUTH_REQUIRED");
+
+    job.availableAt = Infinity;
+    const check = api.enqueue("AUTH_CHECK", { userId: "d@example.com" });
+    await processOne();
+    assert.equal(api.jobs.get(check).state, "done");
+  });
+
+  it("run when stored credentials can sign the account in", async () => {
+    const { accountAuth, deferralFor } = worker;
+    await accountAuth.required("e@example.com", "authwall");
+    assert.ok(deferralFor({ type: "SEND_CONNECTION", payload: { userId: "e@example.com" } }));
+    fs.writeFileSync(path.join(tmpDir, "credentials.json"), JSON.stringify({ "e@example.com": { email: "e@example.com", password: "pw-for-e" } }));
+    assert.equal(deferralFor({ type: "SEND_CONNECTION", payload: { userId: "e@example.com" } }), null);
+  });
+});
@@ -0,0 +1,68 @@
+// Graceful shutdown and lease heartbeats, exercised in SOFT_MODE so no browser is needed.
+
+const os = require("os");
+const fs = require("fs");
+const path = require("path");
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createMockApi } = require("./helpers/mock-api.cjs");
+
+const SECRET = "shutdown-secret";
+let api, worker, tmpDir;
+
+before(async () => {
+  api = await createMockApi({ secret: SECRET }).listen();
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "linqbridge-shutdown-"));
+  Object.assign(process.env, {
+    API_BASE: api.url,
+    WORKER_SHARED_SECRET: SECRET,
+    STATE_DIR: tmpDir,
+    SOFT_MODE: "true",
+    MIN_GAP_MS: "0",
+    COOLDOWN_AFTER_SENT_MS: "0",
+    MICRO_DELAY_MIN_MS: "600",
+    MICRO_DELAY_MAX_MS: "600",
+    JOB_HEARTBEAT_MS: "100",
+    SHUTDOWN_GRACE_MS: "150",
+    WORKER_CONCURRENCY: "2",
+  });
+  worker = require("../worker.cjs");
+});
+
+after(async () => {
+  await api?.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe("job leases and shutdown", () => {
+  it("heartbeats while a job runs", async () => {
+    const id = api.enqueue("SEND_CONNECTION", { userId: "hb", profileUrl: "https://www.linkedin.com/in/hb/" });
+    await worker.processOne();
+    assert.ok(api.jobs.get(id).heartbeats >= 3);
+    assert.equal(api.jobs.get(id).state, "done");
+  });
+
+  it("requeues a job that outlives the grace period, unless Send was clicked, and stops claiming", async () => {
+    const slow = api.enqueue("SEND_CONNECTION", { userId: "slow", profileUrl: "https://www.linkedin.com/in/slow/" });
+    const clicked = api.enqueue("SEND_CONNECTION", { userId: "clicked", profileUrl: "https://www.linkedin.com/in/clicked/" });
+    await worker.fillSlots();
+    [...worker.activeJobs.values()].find((a) => a.jobId === clicked).ctx.sendClicked = true;
+    const running = [...worker.activeJobs.values()].map((a) => a.done);
+    api.enqueue("SEND_CONNECTION", { userId: "later", profileUrl: "https://www.linkedin.com/in/later/" });
+
+    await worker.shutdown("SIGTERM", { exit: false });
+    const [r] = api.reports.filter((x) => x.id === slow);
+    assert.equal(r.kind, "fail");
+    assert.equal(r.body.requeue, true);
+    const [c] = api.reports.filter((x) => x.id === clicked);
+    assert.equal(c.body.requeue, false);
+    assert.equal(c.body.code, "unconfirmed");
+
+    await Promise.all(running);
+    assert.equal(api.reports.filter((x) => x.id === slow).length, 1, "late result is dropped");
+    await worker.fillSlots();
+    assert.equal(worker.activeJobs.size, 0);
+    assert.equal(api.counts().queued, 2);
+  });
+});
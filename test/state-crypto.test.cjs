@@ -0,0 +1,93 @@
+const os = require("os");
+const fs = require("fs");
+const path = require("path");
+const { describe, it, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const KEY = "ab".repeat(32);
+process.env.STATE_ENCRYPTION_KEY = KEY;
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "linqbridge-state-"));
+process.env.STATE_DIR = dir;
+
+const { readStateFile, writeStateFile, parseStateKey, StateKeyError, moveLegacySessionFiles, sweepSessionFiles, classifyError } = require("../worker.cjs");
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const state = { cookies: [{ name: "li_at", value: "AQEDAT-secret-session", domain: ".linkedin.com", path: "/" }], origins: [] };
+
+describe("storageState encryption", () => {
+  it("round-trips without the cookie ever touching the disk in plaintext", () => {
+    const file = path.join(dir, "round.json");
+    writeStateFile(file, state);
+    const raw = fs.readFileSync(file, "utf8");
+    assert.ok(!raw.includes("AQEDAT"));
+    assert.equal(JSON.parse(raw).alg, "aes-256-gcm");
+    assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+    assert.deepEqual(readStateFile(file), state);
+  });
+
+  it("accepts the key as hex or base64 and rejects anything that is not 32 bytes", () => {
+    assert.deepEqual(parseStateKey(KEY), parseStateKey(Buffer.from(KEY, "hex").toString("base64")));
+    assert.throws(() => parseStateKey(""), /STATE_ENCRYPTION_KEY is not set/);
+    assert.throws(() => parseStateKey("abcd"), /must be 32 bytes/);
+  });
+
+  it("migrates a plaintext file to the encrypted format on first read", () => {
+    const file = path.join(dir, "legacy.json");
+    fs.writeFileSync(file, JSON.stringify(state));
+    assert.deepEqual(readStateFile(file), state);
+    assert.equal(JSON.parse(fs.readFileSync(file, "utf8")).format, "linqbridge-state");
+    assert.deepEqual(readStateFile(file), state);
+  });
+
+  it("fails closed on a wrong key or a modified file", () => {
+    const file = path.join(dir, "closed.json");
+    writeStateFile(file, state);
+    assert.throws(() => readStateFile(file, parseStateKey("cd".repeat(32))), (e) => e instanceof StateKeyError && /encrypted under key/.test(e.message));
+    const doc = JSON.parse(fs.readFileSync(file, "utf8"));
+    const data = Buffer.from(doc.data, "base64");
+    data[0] ^= 1;
+    fs.writeFileSync(file, JSON.stringify({ ...doc, data: data.toString("base64") }));
+    assert.throws(() => readStateFile(file), /wrong STATE_ENCRYPTION_KEY or the file was modified/);
+  });
+
+  it("is not retried as a transient error", () => {
+    assert.equal(classifyError(new StateKeyError("cannot decrypt")), "auth_required");
+  });
+
+  it("returns nothing for a missing file", () => {
+    assert.equal(readStateFile(path.join(dir, "nope.json")), undefined);
+  });
+
+  it("refuses to treat other state files as sessions", () => {
+    const file = path.join(dir, "suppressions.json");
+    fs.writeFileSync(file, JSON.stringify({ profiles: ["x"] }));
+    assert.throws(() => readStateFile(file), /not a session file/);
+    assert.deepEqual(JSON.parse(fs.readFileSync(file, "utf8")), { profiles: ["x"] });
+  });
+});
+
+describe("moveLegacySessionFiles", () => {
+  it("moves only session-shaped files out of STATE_DIR into sessions/", () => {
+    writeStateFile(path.join(dir, "a_example_com.json"), state);
+    fs.writeFileSync(path.join(dir, "b_example_com.json"), JSON.stringify(state));
+    fs.writeFileSync(path.join(dir, "attempts.json"), JSON.stringify({ j1: { n: 1 } }));
+    moveLegacySessionFiles();
+    assert.deepEqual(readStateFile(path.join(dir, "sessions", "a_example_com.json")), state);
+    assert.deepEqual(readStateFile(path.join(dir, "sessions", "b_example_com.json")), state);
+    assert.ok(!fs.existsSync(path.join(dir, "a_example_com.json")));
+    assert.ok(fs.existsSync(path.join(dir, "attempts.json")));
+    assert.ok(fs.existsSync(path.join(dir, "suppressions.json")));
+  });
+});
+
+describe("sweepSessionFiles", () => {
+  it("encrypts plaintext sessions at startup without waiting for a job", () => {
+    const file = path.join(dir, "sessions", "idle_example_com.json");
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(state));
+    sweepSessionFiles();
+    assert.ok(!fs.readFileSync(file, "utf8").includes("AQEDAT"));
+    assert.deepEqual(readStateFile(file), state);
+  });
+});
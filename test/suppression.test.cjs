@@ -0,0 +1,71 @@
+const os = require("os");
+const fs = require("fs");
+const path = require("path");
+const { describe, it, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "linqbridge-suppression-"));
+process.env.STATE_DIR = dir;
+process.env.SUPPRESSION_MAX_AGE_MS = "60000";
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const { SuppressionList, normalizeCompany, suppressions, suppressionCheck, suppressionDeferral, deferralFor } = require("../worker.cjs");
+
+describe("SuppressionList", () => {
+  it("matches normalized profile urls, public identifiers and companies", () => {
+    const list = new SuppressionList();
+    list.load({ entries: [
+      { profileUrl: "https://www.linkedin.com/in/Jane-Doe/" },
+      { publicIdentifier: "john-roe", reason: "unsubscribed" },
+      { company: "Acme, Inc." },
+    ] }, "file");
+    assert.equal(list.match({ profileUrl: "https://linkedin.com/m/in/jane-doe?trk=feed" }).field, "profileUrl");
+    assert.equal(list.match({ profileUrl: "https://www.linkedin.com/in/john-roe/" }).reason, "unsubscribed");
+    assert.equal(list.match({ publicIdentifier: "JOHN-ROE" }).field, "publicIdentifier");
+    assert.equal(list.match({ profileUrl: "https://www.linkedin.com/in/someone-else/", company: "ACME inc" }).field, "company");
+    assert.equal(list.match({ profileUrl: "https://www.linkedin.com/in/someone-else/", company: "Acme Labs" }), null);
+    assert.equal(normalizeCompany("  Ünïcode  GmbH. "), "ünïcode gmbh");
+  });
+
+  it("keeps file and API entries apart when either is reloaded", () => {
+    const list = new SuppressionList();
+    const file = path.join(dir, "suppressions.json");
+    fs.writeFileSync(file, JSON.stringify([{ publicIdentifier: "from-file" }]));
+    list.loadFile(file);
+    list.load({ entries: [{ publicIdentifier: "from-api" }] }, "api");
+    assert.equal(list.match({ publicIdentifier: "from-file" }).source, "file");
+    assert.equal(list.match({ publicIdentifier: "from-api" }).source, "api");
+
+    list.load({ entries: [] }, "api");
+    assert.equal(list.match({ publicIdentifier: "from-api" }), null);
+    assert.ok(list.match({ publicIdentifier: "from-file" }));
+
+    fs.rmSync(file);
+    list.loadFile(file);
+    assert.equal(list.match({ publicIdentifier: "from-file" }), null);
+  });
+
+  it("rejects a document without entries", () => {
+    assert.throws(() => new SuppressionList().load({ nope: true }, "api"), /must be an array/);
+  });
+});
+
+describe("suppression checks", () => {
+  it("pick up an edited file on the next check, without waiting for a refresh", () => {
+    const job = { id: "j1", type: "SEND_MESSAGE", payload: { publicIdentifier: "late-add" } };
+    assert.equal(suppressionCheck(job, "https://www.linkedin.com/in/late-add/"), null);
+    fs.writeFileSync(path.join(dir, "suppressions.json"), JSON.stringify([{ publicIdentifier: "late-add" }]));
+    assert.equal(suppressionCheck(job, "https://www.linkedin.com/in/late-add/").outcome, "suppressed");
+  });
+
+  it("defer SEND jobs while a once-synced API list is stale, but not before the first sync", () => {
+    const job = { id: "j2", type: "SEND_CONNECTION", payload: { userId: "s@example.com" } };
+    assert.equal(deferralFor(job), null);
+    suppressions.syncedAt = Date.now();
+    assert.equal(suppressionDeferral(), null);
+    assert.equal(deferralFor(job), null);
+    suppressions.syncedAt = Date.now() - 120_000;
+    assert.match(deferralFor(job).reason, /last synced 2 min ago/);
+    assert.equal(deferralFor({ id: "j3", type: "AUTH_CHECK", payload: {} }), null);
+  });
+});
@@ -0,0 +1,85 @@
+// Message templates: validation, rendering with fallbacks, and reading values off a profile header.
+
+const os = require("os");
+const fs = require("fs");
+const path = require("path");
+const assert = require("node:assert/strict");
+const { describe, it, after } = require("node:test");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "linqbridge-templates-"));
+Object.assign(process.env, { STATE_DIR: dir, SOFT_MODE: "true", SUPPRESSION_SYNC: "false", MIN_GAP_MS: "0", MICRO_DELAY_MIN_MS: "0", MICRO_DELAY_MAX_MS: "0" });
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const worker = require("../worker.cjs");
+const { chromiumAvailable, launchFixtureBrowser, openFixture } = require("./helpers/fixtures.cjs");
+
+const skip = chromiumAvailable() ? false : "Chromium not installed (run `npx playwright install chromium`)";
+
+describe("validateTemplate", () => {
+  it("accepts the supported variables with or without inline fallbacks", () => {
+    worker.validateTemplate("Hi {{firstName}}, how is {{ company | the team }}?");
+  });
+
+  it("rejects unknown variables and malformed placeholders", () => {
+    assert.throws(() => worker.validateTemplate("Hi {{nickname}}"), { code: "invalid_job", message: /Unknown template variable\(s\): nickname/ });
+    assert.throws(() => worker.validateTemplate("Hi {{first name}}"), { code: "invalid_job", message: /malformed/ });
+    assert.throws(() => worker.validateTemplate("   "), { code: "invalid_job" });
+  });
+});
+
+describe("renderTemplate", () => {
+  it("prefers profile values, then the inline fallback, then payload.fallbacks", () => {
+    const tpl = "Hi {{firstName|there}}, congrats on {{company|the new role}} — {{headline}}";
+    assert.deepEqual(worker.renderTemplate(tpl, { firstName: "Jane", company: "Acme" }, { headline: "great work" }),
+      { text: "Hi Jane, congrats on Acme — great work", missing: [] });
+    assert.deepEqual(worker.renderTemplate(tpl, { firstName: " ", company: "" }, { headline: "great work" }),
+      { text: "Hi there, congrats on the new role — great work", missing: [] });
+  });
+
+  it("reports each variable it could not resolve once", () => {
+    const out = worker.renderTemplate("Hi {{firstName}} at {{company}} / {{firstName}}", {}, {});
+    assert.deepEqual(out.missing, ["firstName", "company"]);
+  });
+});
+
+describe("SEND_MESSAGE templates in soft mode", () => {
+  const job = (payload) => ({ id: "job_soft", type: "SEND_MESSAGE", payload: { userId: "soft", profileUrl: "https://www.linkedin.com/in/x/", ...payload } });
+
+  it("reports the message only when the fallbacks resolve every variable", async () => {
+    const resolved = await worker.handleSendMessage(job({ template: "Hi {{firstName}}", fallbacks: { firstName: "there" } }));
+    assert.equal(resolved.messageUsed, "Hi there");
+    const open = await worker.handleSendMessage(job({ template: "Hi {{firstName}} at {{company|your team}}" }));
+    assert.equal(open.messageUsed, undefined);
+    assert.deepEqual(open.unresolvedVariables, ["firstName"]);
+    assert.equal(open.templatePreview, "Hi {{firstName}} at your team");
+  });
+});
+
+describe("profile header parsing", () => {
+  it("cleans names and finds the company in a headline", () => {
+    assert.equal(worker.cleanProfileName("Jane Doe, PhD (She/Her) 🚀"), "Jane Doe");
+    assert.equal(worker.companyFromHeadline("Head of Growth at Acme | Speaker", "en"), "Acme");
+    assert.equal(worker.companyFromHeadline("Ingenieur bei Initech", "de"), "Initech");
+    assert.equal(worker.companyFromHeadline("Founder", "en"), "");
+    assert.equal(worker.companyFromHeadline("Ingeniero en software en Acme", "es"), "Acme");
+    assert.equal(worker.companyFromHeadline("Looking at roles at Acme", "en"), "Acme");
+  });
+
+  it("reads firstName/company/headline from a fixture profile", { skip }, async () => {
+    const { browser, context } = await launchFixtureBrowser();
+    try {
+      const page = await openFixture(context, "first-degree");
+      assert.deepEqual(await worker.readProfileVariables(page), {
+        firstName: "Jane", lastName: "First", fullName: "Jane First", headline: "Head of Growth at Acme", company: "Acme",
+      });
+    } finally { await browser.close(); }
+  });
+});
+
+describe("normalizeComposerText", () => {
+  it("ignores CRLF, nbsp, zero-width characters and doubled paragraph breaks", () => {
+    assert.equal(worker.normalizeComposerText("Hi Jane,\r\n\r\nLine 2 \n​"), "Hi Jane,\nLine 2");
+    assert.equal(worker.normalizeComposerText("é 🚀"), "é 🚀");
+    assert.notEqual(worker.normalizeComposerText("Hi Jane"), worker.normalizeComposerText("Hi Jan"));
+  });
+});
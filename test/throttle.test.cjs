@@ -0,0 +1,55 @@
+const os = require("os");
+const fs = require("fs");
+const path = require("path");
+const { describe, it, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.MAX_ACTIONS_PER_HOUR = "2";
+process.env.MIN_GAP_MS = "0";
+process.env.COOLDOWN_AFTER_SENT_MS = "0";
+process.env.COOLDOWN_AFTER_FAIL_MS = "600000";
+
+const { AccountThrottle } = require("../worker.cjs");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "linqbridge-throttle-"));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+describe("AccountThrottle", () => {
+  it("keeps a separate hourly budget per account", async () => {
+    const t = new AccountThrottle(path.join(dir, "separate"));
+    await t.reserve("a@example.com");
+    await t.reserve("a@example.com");
+    assert.ok(t.delayFor("a@example.com") > 3000_000);
+    assert.equal(t.delayFor("b@example.com"), 0);
+  });
+
+  it("survives a restart with the budget and cooldown intact", async () => {
+    const stateDir = path.join(dir, "restart");
+    const first = new AccountThrottle(stateDir);
+    await first.reserve("c@example.com");
+    first.failure("c@example.com");
+    assert.ok(fs.existsSync(path.join(stateDir, "c_example_com.json")));
+
+    const second = new AccountThrottle(stateDir);
+    assert.ok(second.delayFor("c@example.com") > 500_000, "cooldownUntil restored");
+    assert.equal(second._get("c@example.com").events.length, 1);
+  });
+
+  it("counts invites and messages against separate daily/weekly quotas", () => {
+    const t = new AccountThrottle(path.join(dir, "quota"));
+    for (let i = 0; i < 3; i++) t.record("e@example.com", "invite");
+    const blocked = t.quotaDelay("e@example.com", "invite", { daily: 3, weekly: 10 });
+    assert.ok(blocked.delayMs > 86000_000);
+    assert.match(blocked.reason, /daily invite quota reached \(3\/3\)/);
+    assert.equal(t.quotaDelay("e@example.com", "message", { daily: 3, weekly: 10 }).delayMs, 0);
+    assert.equal(t.quotaDelay("e@example.com", "invite", { daily: 0, weekly: 0 }).delayMs, 0);
+    assert.equal(new AccountThrottle(path.join(dir, "quota"))._get("e@example.com").sends.invite.length, 3);
+  });
+
+  it("ignores a corrupt state file", () => {
+    const stateDir = path.join(dir, "corrupt");
+    fs.mkdirSync(stateDir, { recursive: true });
+    fs.writeFileSync(path.join(stateDir, "d_example_com.json"), "{not json");
+    assert.equal(new AccountThrottle(stateDir).delayFor("d@example.com"), 0);
+  });
+});
@@ -1,23 +1,50 @@
 // worker.cjs — LinqBridge Worker (FINAL: connect flow untouched, messaging robust, nav fixed)
 //
 // What’s included (high-level):
-// - Strict single-thread flow: FEED → slow human scroll → then open PROFILE tab
-// - Auth & storageState per user (email)
+// - Strict single-thread flow per account: FEED → slow human scroll → then open PROFILE tab
+// - WORKER_CONCURRENCY jobs in parallel across accounts, strictly serial within one account
+// - Auth & storageState per user (email), with a pool keeping each user's session alive between jobs
+// - storageState encrypted at rest (AES-256-GCM, STATE_ENCRYPTION_KEY), plaintext files migrated at startup, fails closed
 // - Authwall recovery (login nudge + retry)
+// - Automated credential + TOTP (otplib) login from a secrets file/env; wrong password and checkpoints detected
+// - Session expiry watch (stored li_at + background feed checks) → AUTH_REQUIRED reported, SEND jobs deferred
 // - Mobile-first profile hop (env flag, fixed URL builder) + stable SPA-safe nav
 // - Degree-aware relationship detection (1st/2nd/3rd)
 // - InMail/Open Profile recognition
 // - Connect selection filtered (button-only, no anchors; no "View in Sales Navigator")
-// - Sends plain invites by default (no note) — FORCE_NO_NOTES default true
+// - Plain invites by default (FORCE_NO_NOTES, on unless set to false); otherwise payload.note goes through "Add a note"
+//   (falls back to plain); a note that is not sent is reported as noteSkipped
 // - Messaging: proceeds if real Message button is visible & composer opens (even if 1st badge not found)
-// - Per-domain throttle + gentle pacing
+// - Multi-line/emoji-safe composer typing (Shift+Enter, insertText), text verified before Send
+// - Delivery confirmed by the latest outgoing bubble in the thread (error toasts → failed, else "unconfirmed")
+// - payload.template with {{firstName}}/{{company}}/{{headline}} from the profile header (+ fallbacks)
+// - Versioned selector registry (JSON file or API), matched candidate recorded per result
+// - Locale packs (en/de/fr/es) picked per job or from the page's lang; browser locale follows the account
+// - Per-account throttle (persisted to STATE_DIR) + gentle pacing
+// - Suppression (do-not-contact) list from file + API, checked before any browser work → "suppressed" + audit line;
+//   SEND jobs wait while a once-synced API list is stale
+// - Rehearsal mode (REHEARSAL_MODE / payload.rehearsal): everything up to the final Send, reported as "rehearsed"
+// - Idempotency ledger (per job id and per user/profile/action/text) → "already_sent" instead of a repeat
+// - Daily/weekly quotas and activity windows per account; blocked jobs are requeued with a delay
 // - Optional HTTPS proxy
 // - Misclick goBack recovery if a click navigates to people search
-
+// - Outcome taxonomy (transient, rate_limited, auth_required, …) driving requeue/backoff
+// - Leveled text/JSON logging, every line inside a job tagged with job id/type/user/step
+// - /healthz, /readyz and Prometheus /metrics on HEALTH_PORT
+// - Screenshot + DOM + Playwright trace saved for every failed job, sign-in failures included; trace upload opt-in
+// - VIDEO_MODE off/always/keep-on-failure, per-job file names, age/size cleanup (hourly, open recordings skipped), recording sessions recycled
+// - Graceful SIGTERM/SIGINT shutdown (unfinished jobs requeued) + job lease heartbeats
+// - Durable outbox for job reports (retry + backoff, claiming paused while backed up); idempotent API calls retried
+
+const crypto = require("crypto");
 const fs = require("fs");
 const fsp = require("fs/promises");
+const http = require("http");
 const path = require("path");
+const util = require("util");
+const { AsyncLocalStorage } = require("async_hooks");
 const { chromium } = require("playwright");
+const { authenticator } = require("otplib");
 
 let fetchRef = global.fetch;
 async function getFetch() {
@@ -34,13 +61,37 @@ const WORKER_SHARED_SECRET = process.env.WORKER_SHARED_SECRET || "";
 const HEADLESS = (/^(true|1|yes)$/i).test(process.env.HEADLESS || "false");
 const SLOWMO_MS = parseInt(process.env.SLOWMO_MS || (HEADLESS ? "0" : "50"), 10);
 const SOFT_MODE = (/^(true|1|yes)$/i).test(process.env.SOFT_MODE || "false");
+// Rehearsal (global, or per job with payload.rehearsal: true): real login, navigation and dialogs, but the
+// final Send is never clicked; the result says what would have been sent. SOFT_MODE still wins (no browser).
+// Rehearsals browse LinkedIn for real, so they take an hourly throttle slot like any job, but they add no
+// post-send cooldown and count against no daily/weekly quota.
+const REHEARSAL_MODE = (/^(true|1|yes)$/i).test(process.env.REHEARSAL_MODE || "false");
 
 const POLL_INTERVAL_MS = parseInt(process.env.POLL_INTERVAL_MS || "5000", 10);
+// Jobs run in parallel across accounts, never for the same account
+const WORKER_CONCURRENCY = Math.max(1, parseInt(process.env.WORKER_CONCURRENCY || "1", 10));
+// SIGTERM/SIGINT: stop polling, give running jobs this long, then requeue what is left
+const SHUTDOWN_GRACE_MS = parseInt(process.env.SHUTDOWN_GRACE_MS || "20000", 10);
+// Lease heartbeats to /jobs/:id/heartbeat while a job runs (0 = off)
+const JOB_HEARTBEAT_MS = parseInt(process.env.JOB_HEARTBEAT_MS || "30000", 10);
+const JOB_LEASE_MS = parseInt(process.env.JOB_LEASE_MS || "120000", 10);
 const MAX_ACTIONS_PER_HOUR = parseInt(process.env.MAX_ACTIONS_PER_HOUR || "18", 10);
 const MIN_GAP_MS = parseInt(process.env.MIN_GAP_MS || "60000", 10);
 const COOLDOWN_AFTER_SENT_MS = parseInt(process.env.COOLDOWN_AFTER_SENT_MS || "90000", 10);
 const COOLDOWN_AFTER_FAIL_MS = parseInt(process.env.COOLDOWN_AFTER_FAIL_MS || "600000", 10);
 
+// Per-account quotas (rolling 24h / 7d, counted separately for invites and messages; 0 = unlimited)
+const DAILY_INVITE_LIMIT = parseInt(process.env.DAILY_INVITE_LIMIT || "20", 10);
+const WEEKLY_INVITE_LIMIT = parseInt(process.env.WEEKLY_INVITE_LIMIT || "100", 10);
+const DAILY_MESSAGE_LIMIT = parseInt(process.env.DAILY_MESSAGE_LIMIT || "40", 10);
+const WEEKLY_MESSAGE_LIMIT = parseInt(process.env.WEEKLY_MESSAGE_LIMIT || "200", 10);
+// Activity window, e.g. ACTIVE_DAYS="Mon-Fri" ACTIVE_HOURS="09:00-18:00" (empty = always); the timezone is also the browser's
+const ACTIVE_DAYS = process.env.ACTIVE_DAYS || "";
+const ACTIVE_HOURS = process.env.ACTIVE_HOURS || "";
+const ACTIVE_TIMEZONE = process.env.ACTIVE_TIMEZONE || "America/Los_Angeles";
+// Jobs whose throttle wait exceeds this are handed back to the API instead of sleeping on them
+const DEFER_THRESHOLD_MS = parseInt(process.env.DEFER_THRESHOLD_MS || "300000", 10);
+
 const MICRO_DELAY_MIN_MS = parseInt(process.env.MICRO_DELAY_MIN_MS || "400", 10);
 const MICRO_DELAY_MAX_MS = parseInt(process.env.MICRO_DELAY_MAX_MS || "1200", 10);
 
@@ -52,52 +103,257 @@ const DEFAULT_TIMEOUT_MS = parseInt(process.env.DEFAULT_TIMEOUT_MS || "35000", 1
 const NAV_TIMEOUT_MS = parseInt(process.env.NAV_TIMEOUT_MS || "45000", 10);
 
 const USE_PROFILE_MOBILE_FIRST = (/^(true|1|yes)$/i).test(process.env.USE_PROFILE_MOBILE_FIRST || "true");
+// Longest payload.message / rendered template accepted for SEND_MESSAGE
+const MESSAGE_MAX_CHARS = parseInt(process.env.MESSAGE_MAX_CHARS || "3000", 10);
+// How long to wait for the sent message to show up as the latest outgoing bubble in the thread
+const MESSAGE_CONFIRM_MS = parseInt(process.env.MESSAGE_CONFIRM_MS || "10000", 10);
+// On by default, as it always was: payload.note is only sent with FORCE_NO_NOTES=false, and is otherwise
+// reported back as noteSkipped ("notes_disabled")
 const FORCE_NO_NOTES = (/^(true|1|yes)$/i).test(process.env.FORCE_NO_NOTES || "true");
+// LinkedIn's invite note limit; a smaller maxlength on the note field (free accounts) wins at send time
+const NOTE_MAX_CHARS = parseInt(process.env.NOTE_MAX_CHARS || "300", 10);
 
 const DEFAULT_STATE_PATH = process.env.STORAGE_STATE_PATH || "/app/auth-state.json";
+// storageState files are AES-256-GCM encrypted under this 32-byte key (64 hex chars or base64). Outside
+// SOFT_MODE it is required: without it, or with the wrong one, no session file is read or written.
+const STATE_ENCRYPTION_KEY = process.env.STATE_ENCRYPTION_KEY || "";
 const STATE_DIR = process.env.STATE_DIR || "/app/state";
+// Per-account storageState files live in their own directory so no userId can name another state file
+const SESSIONS_DIR = path.join(STATE_DIR, "sessions");
+// Ledger of sends (STATE_DIR/ledger): a job id or an identical send to the same profile within this window is not repeated
+const LEDGER_DEDUPE_MS = parseInt(process.env.LEDGER_DEDUPE_MS || String(30 * 86400_000), 10);
+// /complete and /fail reports are persisted here until the API has them; retried with backoff, and
+// no new jobs are claimed while OUTBOX_MAX_PENDING or more are undelivered
+const OUTBOX_DIR = process.env.OUTBOX_DIR || path.join(STATE_DIR, "outbox");
+const OUTBOX_MAX_PENDING = parseInt(process.env.OUTBOX_MAX_PENDING || "1", 10);
+const OUTBOX_RETRY_BASE_MS = parseInt(process.env.OUTBOX_RETRY_BASE_MS || "5000", 10);
+const OUTBOX_RETRY_MAX_MS = parseInt(process.env.OUTBOX_RETRY_MAX_MS || "300000", 10);
+// Extra attempts for idempotent API calls (GETs, heartbeats, artifact uploads) on network errors, 408/429 and 5xx
+const API_RETRIES = parseInt(process.env.API_RETRIES || "2", 10);
+// Browser locale (context locale + accept-language) unless the account sets its own "locale"
+const BROWSER_LOCALE = process.env.BROWSER_LOCALE || "en-US";
+// Per-account overrides of the quotas/window/locale above, keyed by userId (see accountPolicy)
+const ACCOUNT_POLICIES_PATH = process.env.ACCOUNT_POLICIES_PATH || path.join(STATE_DIR, "accounts.json");
 
 const FORCE_RELOGIN = (/^(true|1|yes)$/i).test(process.env.FORCE_RELOGIN || "false");
 const ALLOW_INTERACTIVE_LOGIN = (/^(true|1|yes)$/i).test(process.env.ALLOW_INTERACTIVE_LOGIN || "true");
 const INTERACTIVE_LOGIN_TIMEOUT_MS = parseInt(process.env.INTERACTIVE_LOGIN_TIMEOUT_MS || "300000", 10);
+// Automated /login for accounts with stored credentials: CREDENTIALS_PATH is { "<userId>": { email, password,
+// totpSecret? } }; LINKEDIN_EMAIL / LINKEDIN_PASSWORD / LINKEDIN_TOTP_SECRET cover that email's account (and
+// "default"). Job payloads are never a source, and passwords/secrets are scrubbed from every log line.
+// The file defaults to a secrets mount, off the state volume; it may also be encrypted under
+// STATE_ENCRYPTION_KEY (`node worker.cjs encrypt-file <path>`).
+const AUTO_LOGIN = (/^(true|1|yes)$/i).test(process.env.AUTO_LOGIN || "true");
+const CREDENTIALS_PATH = process.env.CREDENTIALS_PATH || "/run/secrets/linqbridge-credentials.json";
+const LOGIN_TIMEOUT_MS = parseInt(process.env.LOGIN_TIMEOUT_MS || "30000", 10);
+// Background session checks (stored li_at expiry + a feed reload of idle pooled sessions); 0 = off
+const SESSION_CHECK_MS = parseInt(process.env.SESSION_CHECK_MS || "600000", 10);
+// A stored session cookie that expires within this window is logged as about to expire
+const SESSION_EXPIRY_WARN_MS = parseInt(process.env.SESSION_EXPIRY_WARN_MS || String(3 * 86400_000), 10);
+// SEND jobs of an account that has to sign in again go back to the queue for this long
+const AUTH_DEFER_MS = parseInt(process.env.AUTH_DEFER_MS || "1800000", 10);
+
+// Session pool: keep one authenticated browser context per user alive between jobs
+const SESSION_POOL_ENABLED = (/^(true|1|yes)$/i).test(process.env.SESSION_POOL_ENABLED || "true");
+const SESSION_IDLE_TTL_MS = parseInt(process.env.SESSION_IDLE_TTL_MS || "900000", 10);
+const SESSION_POOL_MAX = parseInt(process.env.SESSION_POOL_MAX || "4", 10);
 
 const PROXY_SERVER = process.env.PROXY_SERVER || "";
 const PROXY_USERNAME = process.env.PROXY_USERNAME || "";
 const PROXY_PASSWORD = process.env.PROXY_PASSWORD || "";
 
+// Health/metrics HTTP server (separate from PORT, which start.sh gives to noVNC; 0 = off)
+const HEALTH_PORT = parseInt(process.env.HEALTH_PORT || "9090", 10);
+const READY_CACHE_MS = parseInt(process.env.READY_CACHE_MS || "60000", 10);
+
+// Failure artifacts (screenshot, DOM, optional Playwright trace) per failed job
+const ARTIFACTS_ENABLED = (/^(true|1|yes)$/i).test(process.env.ARTIFACTS_ENABLED || "true");
+const ARTIFACTS_DIR = process.env.ARTIFACTS_DIR || "/tmp/linqbridge-artifacts";
+const ARTIFACT_RETENTION_MS = parseInt(process.env.ARTIFACT_RETENTION_MS || String(3 * 86400_000), 10);
+const ARTIFACT_MAX_JOBS = parseInt(process.env.ARTIFACT_MAX_JOBS || "200", 10);
+const ARTIFACT_UPLOAD = (/^(true|1|yes)$/i).test(process.env.ARTIFACT_UPLOAD || "true");
+const ARTIFACT_UPLOAD_MAX_BYTES = parseInt(process.env.ARTIFACT_UPLOAD_MAX_BYTES || String(10 * 1024 * 1024), 10);
+// Traces record every request with its LinkedIn Cookie header: they are saved with the other artifacts
+// but stay on this machine unless ARTIFACT_UPLOAD_TRACE is set as well
+const ARTIFACT_TRACE = (/^(true|1|yes)$/i).test(process.env.ARTIFACT_TRACE || "true");
+const ARTIFACT_UPLOAD_TRACE = (/^(true|1|yes)$/i).test(process.env.ARTIFACT_UPLOAD_TRACE || "false");
+
+// Video recording: off | always | keep-on-failure. Kept files are VIDEO_DIR/<jobId>__<user>.webm
+const VIDEO_MODE = (process.env.VIDEO_MODE || "keep-on-failure").toLowerCase();
+const VIDEO_DIR = process.env.VIDEO_DIR || "/tmp/pw-video";
+const VIDEO_MAX_AGE_MS = parseInt(process.env.VIDEO_MAX_AGE_MS || String(2 * 86400_000), 10);
+const VIDEO_MAX_TOTAL_BYTES = parseInt(process.env.VIDEO_MAX_TOTAL_BYTES || String(1024 * 1024 * 1024), 10);
+// Retention also runs on this interval (and at startup), not only when a video is kept; 0 = off
+const VIDEO_PRUNE_MS = parseInt(process.env.VIDEO_PRUNE_MS || "3600000", 10);
+// A pooled session's feed tab records for as long as the session lives, so with video on a session older
+// than this is recycled between jobs; 0 = never
+const VIDEO_SESSION_MAX_MS = parseInt(process.env.VIDEO_SESSION_MAX_MS || "3600000", 10);
+const VIDEO_RAW_DIR = path.join(VIDEO_DIR, ".raw");
+
+// Selector registry (see selectors.json). SELECTORS_SOURCE=file re-reads SELECTORS_PATH when it changes;
+// SELECTORS_SOURCE=api also pulls GET /selectors every SELECTORS_REFRESH_MS (0 = load once)
+const SELECTORS_PATH = process.env.SELECTORS_PATH || path.join(__dirname, "selectors.json");
+const SELECTORS_SOURCE = (process.env.SELECTORS_SOURCE || "file").toLowerCase();
+const SELECTORS_REFRESH_MS = parseInt(process.env.SELECTORS_REFRESH_MS || "300000", 10);
+
+// Do-not-contact list: SUPPRESSION_PATH (re-read when it changes) plus GET /suppressions when
+// SUPPRESSION_SYNC is on, refreshed every SUPPRESSION_REFRESH_MS. Every blocked job is appended to SUPPRESSION_AUDIT_PATH.
+const SUPPRESSION_PATH = process.env.SUPPRESSION_PATH || path.join(STATE_DIR, "suppressions.json");
+const SUPPRESSION_SYNC = (/^(true|1|yes)$/i).test(process.env.SUPPRESSION_SYNC || "true");
+const SUPPRESSION_REFRESH_MS = parseInt(process.env.SUPPRESSION_REFRESH_MS || "600000", 10);
+// Once the API list has synced, SEND jobs are deferred while it is older than this (a backend that never
+// served /suppressions leaves the file as the only list)
+const SUPPRESSION_MAX_AGE_MS = parseInt(process.env.SUPPRESSION_MAX_AGE_MS || "3600000", 10);
+const SUPPRESSION_AUDIT_PATH = process.env.SUPPRESSION_AUDIT_PATH || path.join(STATE_DIR, "suppression-audit.jsonl");
+
+// Logging: LOG_LEVEL=debug|info|warn|error, LOG_FORMAT=text|json (json = one object per line)
+const LOG_LEVEL = (process.env.LOG_LEVEL || "info").toLowerCase();
+const LOG_FORMAT = (process.env.LOG_FORMAT || "text").toLowerCase();
+
+// ---------- Logging ----------
+// Lines emitted while a job runs carry jobId/jobType/userId/step from the job's async context,
+// so concurrent jobs stay separable in the Railway logs.
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const jobContext = new AsyncLocalStorage();
+// Passwords and TOTP secrets never reach a log line, whatever code path formats them
+const redactedValues = new Set();
+function redact(...values) { for (const v of values) if (typeof v === "string" && v.length >= 4) redactedValues.add(v); }
+
+function emit(level, scope, args, fields = {}) {
+  if ((LOG_LEVELS[level] || 20) < (LOG_LEVELS[LOG_LEVEL] || 20)) return;
+  const ctx = jobContext.getStore();
+  let msg = util.format(...args);
+  for (const v of redactedValues) if (msg.includes(v)) msg = msg.split(v).join("[redacted]");
+  const stream = level === "error" || level === "warn" ? process.stderr : process.stdout;
+  if (LOG_FORMAT === "json") {
+    const line = { ts: new Date().toISOString(), level, scope, msg, ...fields };
+    if (ctx) Object.assign(line, { jobId: ctx.jobId, jobType: ctx.jobType, userId: ctx.userId, step: ctx.step });
+    stream.write(JSON.stringify(line) + "\n");
+    return;
+  }
+  const tag = ctx ? ` {job=${ctx.jobId} type=${ctx.jobType} user=${ctx.userId} step=${ctx.step}}` : "";
+  const extra = Object.keys(fields).length ? " " + Object.entries(fields).map(([k, v]) => `${k}=${v}`).join(" ") : "";
+  stream.write(`[${scope}]${tag} ${msg}${extra}\n`);
+}
+const log = {
+  debug: (scope, ...args) => emit("debug", scope, args),
+  info:  (scope, ...args) => emit("info", scope, args),
+  warn:  (scope, ...args) => emit("warn", scope, args),
+  error: (scope, ...args) => emit("error", scope, args),
+};
+
+function withJobContext(job, fn) {
+  const rehearsal = REHEARSAL_MODE || job?.payload?.rehearsal === true;
+  return jobContext.run({ jobId: job?.id ?? null, jobType: job?.type ?? null, userId: job?.payload?.userId || "default", step: "start", rehearsal, hardScreens: new Set() }, fn);
+}
+const rehearsing = () => !!jobContext.getStore()?.rehearsal;
+// Set right before any Send/invite click: from then on a failure may hide a real send and is never retried.
+// The first click also writes the job's armed ledger entry as "attempted" (see armLedger).
+function markSendClicked() {
+  const ctx = jobContext.getStore();
+  if (!ctx || ctx.sendClicked) return;
+  ctx.sendClicked = true;
+  if (ctx.ledgerArm) ledger.record(ctx.ledgerArm.userId, { jobId: ctx.jobId, key: ctx.ledgerArm.key, actionTaken: "attempted" });
+}
+const sendClicked = () => !!jobContext.getStore()?.sendClicked;
+// Names the phase of the running job for subsequent log lines (no-op outside a job)
+function setStep(step) { const ctx = jobContext.getStore(); if (ctx) ctx.step = step; }
+
+// ---------- Metrics ----------
+// Minimal Prometheus registry: counters and histograms with labels, rendered by /metrics.
+class Metrics {
+  constructor() { this.defs = new Map(); }
+  _def(name, type, help, extra = {}) { if (!this.defs.has(name)) this.defs.set(name, { name, type, help, series: new Map(), ...extra }); return this.defs.get(name); }
+  _key(labels) { return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b))); }
+  counter(name, help) {
+    const d = this._def(name, "counter", help);
+    return { inc: (labels = {}, v = 1) => { const k = this._key(labels); d.series.set(k, (d.series.get(k) || 0) + v); } };
+  }
+  histogram(name, help, buckets) {
+    const d = this._def(name, "histogram", help, { buckets });
+    return {
+      observe: (labels = {}, v) => {
+        const k = this._key(labels);
+        const h = d.series.get(k) || { counts: buckets.map(() => 0), sum: 0, count: 0 };
+        buckets.forEach((b, i) => { if (v <= b) h.counts[i]++; });
+        h.sum += v; h.count++; d.series.set(k, h);
+      },
+    };
+  }
+  render(gauges = {}) {
+    const esc = (v) => String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+    const fmt = (pairs) => pairs.length ? `{${pairs.map(([k, v]) => `${k}="${esc(v)}"`).join(",")}}` : "";
+    const out = [];
+    for (const d of this.defs.values()) {
+      out.push(`# HELP ${d.name} ${d.help}`, `# TYPE ${d.name} ${d.type}`);
+      for (const [k, v] of d.series) {
+        const labels = JSON.parse(k);
+        if (d.type === "counter") { out.push(`${d.name}${fmt(labels)} ${v}`); continue; }
+        d.buckets.forEach((b, i) => out.push(`${d.name}_bucket${fmt([...labels, ["le", b]])} ${v.counts[i]}`));
+        out.push(`${d.name}_bucket${fmt([...labels, ["le", "+Inf"]])} ${v.count}`, `${d.name}_sum${fmt(labels)} ${v.sum}`, `${d.name}_count${fmt(labels)} ${v.count}`);
+      }
+    }
+    for (const [name, { help, value }] of Object.entries(gauges)) out.push(`# HELP ${name} ${help}`, `# TYPE ${name} gauge`, `${name} ${value}`);
+    return out.join("\n") + "\n";
+  }
+}
+const metrics = new Metrics();
+const mJobs = metrics.counter("linqbridge_jobs_processed_total", "Jobs processed by type and outcome");
+const mHandlerSeconds = metrics.histogram("linqbridge_handler_duration_seconds", "Job handler duration", [1, 5, 10, 30, 60, 120, 300, 600]);
+const mThrottleWaits = metrics.counter("linqbridge_throttle_waits_total", "Times a job waited on the per-account throttle");
+const mThrottleWaitSeconds = metrics.counter("linqbridge_throttle_wait_seconds_total", "Seconds spent waiting on the per-account throttle");
+const mHardScreens = metrics.counter("linqbridge_hard_screens_total", "Hard screens detected (404/429/captcha)");
+const mAuthwall = metrics.counter("linqbridge_authwall_recoveries_total", "Authwall recovery attempts by result");
+const mAuthStatus = metrics.counter("linqbridge_account_auth_changes_total", "Account auth status changes by new status");
+
 // ---------- Utils ----------
 const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
 const now = () => Date.now();
 const within = (min, max) => min + Math.floor(Math.random() * (max - min + 1));
 async function microDelay() { await sleep(within(MICRO_DELAY_MIN_MS, MICRO_DELAY_MAX_MS)); }
-async function sprout(label = "") { const n = within(1, 3); for (let i = 0; i < n; i++) await microDelay(); if (label) console.log(`[sprout] ${label} x${n}`); }
+async function sprout(label = "") { const n = within(1, 3); for (let i = 0; i < n; i++) await microDelay(); if (label) log.debug("sprout", `${label} x${n}`); }
 const sanitizeUserId = (s) => (String(s || "default").toLowerCase().replace(/[^a-z0-9]+/g, "_"));
-const statePathForUser = (userId) => path.join(STATE_DIR, `${sanitizeUserId(userId)}.json`);
+const statePathForUser = (userId) => path.join(SESSIONS_DIR, `${sanitizeUserId(userId)}.json`);
 
 function logFetchError(where, err) {
   const code = err?.cause?.code || err?.code || "unknown";
-  console.error("[worker]", `${where} fetch failed:`, code, err?.message || err);
+  emit("error", "worker", [`${where} fetch failed:`, err?.message || err], { where, code });
 }
 function apiUrl(p) { return p.startsWith("/") ? `${API_BASE}${p}` : `${API_BASE}/${p}`; }
 
-async function apiGet(p) {
-  const fetch = await getFetch();
-  const res = await fetch(apiUrl(p), { method: "GET", headers: { "x-worker-secret": WORKER_SHARED_SECRET }, signal: AbortSignal.timeout ? AbortSignal.timeout(15000) : undefined });
-  const text = await res.text();
-  try { const json = JSON.parse(text); if (!res.ok) throw new Error(`HTTP ${res.status}: ${text}`); return json; }
-  catch { throw new Error(`GET ${p} non-JSON or error ${res.status}: ${text}`); }
-}
-async function apiPost(p, body) {
+const retriableStatus = (status) => status === 408 || status === 429 || status >= 500;
+
+// Throws with err.status set for HTTP errors. Network errors, timeouts and retriable statuses are retried
+// `retries` times with exponential backoff; only pass retries for calls that are safe to repeat.
+async function apiRequest(method, p, body, { retries = 0, timeoutMs = 15000 } = {}) {
   const fetch = await getFetch();
-  const res = await fetch(apiUrl(p), { method: "POST", headers: { "Content-Type": "application/json", "x-worker-secret": WORKER_SHARED_SECRET }, body: JSON.stringify(body || {}), signal: AbortSignal.timeout ? AbortSignal.timeout(25000) : undefined });
-  const text = await res.text();
-  try { const json = JSON.parse(text); if (!res.ok) throw new Error(`HTTP ${res.status}: ${text}`); return json; }
-  catch { throw new Error(`POST ${p} non-JSON or error ${res.status}: ${text}`); }
+  const headers = { "x-worker-secret": WORKER_SHARED_SECRET, ...(method === "POST" && { "Content-Type": "application/json" }) };
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const res = await fetch(apiUrl(p), { method, headers, body: method === "POST" ? JSON.stringify(body || {}) : undefined, signal: AbortSignal.timeout ? AbortSignal.timeout(timeoutMs) : undefined });
+      const text = await res.text();
+      let json;
+      try { json = JSON.parse(text); } catch {}
+      if (res.ok && json !== undefined) return json;
+      const err = new Error(`${method} ${p} non-JSON or error ${res.status}: ${text}`);
+      err.status = res.status;
+      throw err;
+    } catch (e) {
+      if (attempt >= retries || (e.status && !retriableStatus(e.status))) throw e;
+      const waitMs = 500 * 2 ** attempt + within(0, 250);
+      log.debug("api", `${method} ${p} failed (${e.status || e?.cause?.code || e.message}); retry ${attempt + 1}/${retries} in ${waitMs}ms`);
+      await sleep(waitMs);
+    }
+  }
 }
+async function apiGet(p, { retries = API_RETRIES } = {}) { return apiRequest("GET", p, null, { retries, timeoutMs: 15000 }); }
+async function apiPost(p, body, { retries = 0 } = {}) { return apiRequest("POST", p, body, { retries, timeoutMs: 25000 }); }
 
 async function anyVisible(...locs) {
-  const checks = await Promise.all(locs.map(l => l.first().isVisible({ timeout: 800 }).catch(() => false)));
-  return checks.some(Boolean);
+  const checks = await Promise.all(locs.flat().map(l => l.first().isVisible({ timeout: 800 }).catch(() => false).then((v) => [l, v])));
+  const hit = checks.find(([, v]) => v);
+  if (hit) selectors.match(hit[0]);
+  return !!hit;
 }
 async function waitFullLoad(page, timeout = 45000) {
   await page.waitForLoadState('domcontentloaded', { timeout }).catch(()=>{});
@@ -128,45 +384,674 @@ async function detectHardScreen(page) {
     const url = page.url() || "";
     const title = (await page.title().catch(()=> "")) || "";
     const bodyText = await page.locator("body").innerText().catch(()=>"");
-    if (url.includes("/404") || /page not found/i.test(title) || /page not found/i.test(bodyText)) return "404";
-    if (/429/.test(title) || /too many requests/i.test(bodyText) || /temporarily blocked/i.test(bodyText)) return "429";
-    if (/captcha/i.test(title) || /verify/i.test(bodyText)) return "captcha";
+    // Error pages are not always translated, so English labels count on every locale
+    const locale = await detectPageLocale(page);
+    const has = (key, text) => selectors.hasLabel("en", key, text) || selectors.hasLabel(locale, key, text);
+    let kind = null;
+    if (url.includes("/404") || has("pageNotFound", title) || has("pageNotFound", bodyText)) kind = "404";
+    else if (/429/.test(title) || has("tooManyRequests", bodyText) || has("temporarilyBlocked", bodyText)) kind = "429";
+    // Only challenge-specific signals: words like "verify"/"Bestätigen" appear on ordinary profiles (endorsements)
+    else if (/\/checkpoint\/challenge/.test(url) || /captcha/i.test(title) || has("securityCheck", title) || has("securityCheckPrompt", bodyText)) kind = "captcha";
+    // Once per job and kind: the flows check the same screen again after a reload or a retry
+    const seen = jobContext.getStore()?.hardScreens;
+    if (kind && !seen?.has(kind)) { seen?.add(kind); mHardScreens.inc({ kind }); }
+    return kind;
   } catch {}
   return null;
 }
 
-// ---------- Per-domain throttle ----------
-class DomainThrottle {
-  constructor() { this.state = new Map(); }
-  _get(domain) { if (!this.state.has(domain)) this.state.set(domain, { lastActionAt: 0, events: [], cooldownUntil: 0 }); return this.state.get(domain); }
+// ---------- Selector registry ----------
+// Every selector the flows use lives in a versioned registry document:
+//   { "version": "…", "selectors": { "<group>": [ { "id", role+name|nameText | css | text, hasText?, then? }, … ] },
+//     "locales": { "en": { "<label>": ["…"] }, "de": { … }, … } }
+// name/text/hasText are regex sources (case-insensitive unless "flags" says otherwise). {{label}} is filled
+// from the page's locale pack (missing labels fall back to en): an escaped alternation in regexes, one
+// selector-list entry per label in css. Candidates are tried in order; the first one that matches is
+// recorded on the job context and in metrics.
+const SELECTOR_GROUPS = [
+  "profileName", "profileHeadline", "profileCompany", "degreeBadge", "pendingButton", "messageButtonExact", "messageButton", "messageButtonMobile", "messageMenuItem", "messageDialogReady",
+  "connectPresence", "connectButton", "connectButtonMobile", "connectMenuItem", "salesNavigatorText", "connectDialogReady",
+  "moreButton", "paidMessagingHint", "inviteSendButton", "addNoteButton", "noteField", "noteQuotaNotice", "inviteSendWithoutNote", "inviteSentToast",
+  "composerPresent", "composerEditor", "composerEditorAny", "messageSendButton",
+  "outgoingMessage", "messageErrorToast",
+  "loginEmail", "loginPassword", "loginSubmit", "loginError", "totpInput", "totpSubmit",
+];
+const LABEL_RE = /\{\{(\w+)\}\}/g;
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+const mSelectorMatches = metrics.counter("linqbridge_selector_matches_total", "Selector candidates matched by group, candidate and registry version");
+
+function compileSelectorRegistry(doc) {
+  if (!doc || typeof doc !== "object") throw new Error("selector registry must be an object");
+  if (!doc.version) throw new Error("selector registry has no version");
+  const fail = (msg) => { throw new Error(`selector registry ${doc.version}: ${msg}`); };
+  const en = doc.locales?.en;
+  if (!en || typeof en !== "object") fail('locale pack "en" missing');
+  const labels = {};
+  for (const [lang, pack] of Object.entries(doc.locales)) {
+    labels[lang] = { ...en, ...pack };
+    for (const [k, v] of Object.entries(labels[lang])) {
+      if (!Array.isArray(v) || !v.length || v.some((x) => typeof x !== "string" || !x)) fail(`locales.${lang}.${k} must be a non-empty list of strings`);
+    }
+  }
+  for (const group of SELECTOR_GROUPS) {
+    if (!Array.isArray(doc.selectors?.[group]) || !doc.selectors[group].length) fail(`group "${group}" missing`);
+  }
+
+  const groups = {};
+  for (const [lang, pack] of Object.entries(labels)) {
+    const labelsOf = (k, where) => pack[k] || fail(`${where} uses unknown label {{${k}}}`);
+    const fillRe = (src, where) => src.replace(LABEL_RE, (_, k) => `(?:${labelsOf(k, where).map(escapeRe).join("|")})`);
+    const fillCss = (css, where) => {
+      let variants = [css];
+      for (const k of new Set([...css.matchAll(LABEL_RE)].map((m) => m[1]))) {
+        variants = variants.flatMap((v) => labelsOf(k, where).map((l) => v.split(`{{${k}}}`).join(l.replace(/["\\]/g, "\\$&"))));
+      }
+      return variants.join(", ");
+    };
+    groups[lang] = {};
+    for (const group of SELECTOR_GROUPS) {
+      groups[lang][group] = doc.selectors[group].map((c, i) => {
+        const where = `${group}[${i}]`;
+        if (!c?.id) fail(`${where} has no id`);
+        if (!c.role && !c.css && !c.text) fail(`${where} needs role, css or text`);
+        const re = (src) => { if (src == null) return undefined; const filled = fillRe(src, where); try { return new RegExp(filled, c.flags ?? "i"); } catch (e) { return fail(`${where} ${e.message}`); } };
+        // nameText is a plain substring; with labels in it, it becomes an equivalent case-insensitive regex
+        const nameText = c.nameText == null || !c.nameText.includes("{{") ? c.nameText
+          : new RegExp(c.nameText.split(LABEL_RE).map((part, j) => (j % 2 ? `(?:${labelsOf(part, where).map(escapeRe).join("|")})` : escapeRe(part))).join(""), "i");
+        return { id: String(c.id), role: c.role, css: c.css && fillCss(c.css, where), name: nameText ?? re(c.name), text: re(c.text), hasText: re(c.hasText), then: c.then };
+      });
+    }
+  }
+  return { version: String(doc.version), groups, labels };
+}
+
+class SelectorRegistry {
+  constructor() { this.version = null; this.groups = {}; this.labels = {}; this.source = null; this.mtimeMs = 0; this.tags = new WeakMap(); }
+  load(doc, source) {
+    const { version, groups, labels } = compileSelectorRegistry(doc);
+    const changed = version !== this.version;
+    Object.assign(this, { version, groups, labels, source });
+    if (changed) log.info("selectors", `registry ${version} loaded from ${source} (locales: ${Object.keys(labels).join(", ")})`);
+    return changed;
+  }
+  loadFile(file = SELECTORS_PATH) {
+    const { mtimeMs } = fs.statSync(file);
+    if (this.source === file && mtimeMs === this.mtimeMs) return false;
+    const changed = this.load(JSON.parse(fs.readFileSync(file, "utf8")), file);
+    this.mtimeMs = mtimeMs;
+    return changed;
+  }
+  // Locale pack for a BCP 47 tag ("de-DE" → "de"), or null when there is none
+  localeFor(tag) {
+    const base = String(tag || "").toLowerCase().split(/[-_]/)[0];
+    return Object.hasOwn(this.labels, base) ? base : null;
+  }
+  // Fresh locators for a group, each tagged so match() can tell which candidate it was
+  locators(page, group, locale = "en") {
+    const lang = this.groups[locale] ? locale : "en";
+    const list = this.groups[lang]?.[group];
+    if (!list) throw new Error(`Unknown selector group: ${group}`);
+    return list.map((c) => {
+      let loc = c.role ? page.getByRole(c.role, c.name !== undefined ? { name: c.name } : {}) : c.text ? page.getByText(c.text) : page.locator(c.css);
+      if (c.hasText) loc = loc.filter({ hasText: c.hasText });
+      if (c.then) loc = loc.locator(c.then);
+      this.tags.set(loc, { group, id: c.id, locale: lang });
+      return loc;
+    });
+  }
+  // True when a text-only group (e.g. salesNavigatorText) matches a string
+  matchesText(group, str, locale = "en") { return ((this.groups[locale] || this.groups.en)?.[group] || []).some((c) => c.text?.test(str)); }
+  labelsFor(locale, key) { return this.labels[locale]?.[key] || this.labels.en?.[key] || []; }
+  // Plain label lookups for page text that is read rather than located (degree badges, error pages)
+  hasLabel(locale, key, text) { const t = String(text || "").toLowerCase(); return (this.labels[locale]?.[key] || []).some((l) => t.includes(l.toLowerCase())); }
+  startsWithLabel(locale, key, text) {
+    const t = String(text || "").toLowerCase();
+    return (this.labels[locale]?.[key] || []).some((l) => t.startsWith(l.toLowerCase()) && !/\w/.test(t.charAt(l.length)));
+  }
+  // Records the candidate behind `loc` (metrics + job context) and returns its { group, id, locale }
+  match(loc) {
+    const tag = this.tags.get(loc);
+    if (!tag) return null;
+    mSelectorMatches.inc({ group: tag.group, candidate: tag.id, version: this.version, locale: tag.locale });
+    const ctx = jobContext.getStore();
+    if (ctx) {
+      ctx.selectors = ctx.selectors || { version: this.version, locale: tag.locale, matched: {} };
+      ctx.selectors.matched[tag.group] = tag.id;
+    }
+    return tag;
+  }
+}
+const selectors = new SelectorRegistry();
+// With SELECTORS_SOURCE=api a broken local file is not fatal: sends wait for the API's registry instead
+try { selectors.loadFile(); }
+catch (e) {
+  if (SELECTORS_SOURCE !== "api") throw e;
+  log.error("selectors", `${SELECTORS_PATH} not loaded; waiting for GET /selectors:`, e.message || e);
+}
+
+// UI locale of a page: the job's payload.locale when given, else the page's <html lang> (en if unknown)
+const pageLocales = new WeakMap();
+function localeOf(page) { return jobContext.getStore()?.locale || pageLocales.get(page) || "en"; }
+async function detectPageLocale(page) {
+  const lang = await page.evaluate(() => document.documentElement.lang || "").catch(() => "");
+  if (lang) pageLocales.set(page, selectors.localeFor(lang) || "en");
+  return localeOf(page);
+}
+const sel = (page, group) => selectors.locators(page, group, localeOf(page));
+
+// First candidate of `group` that is visible (not yet recorded as matched), or null
+async function firstVisible(page, group, timeout = 1200) {
+  for (const l of sel(page, group)) if (await l.first().isVisible({ timeout }).catch(() => false)) return l;
+  return null;
+}
+// Resolves with the first candidate of `group` to appear (recorded as matched), or null on timeout
+async function waitForAny(page, group, timeout) {
+  const hit = await Promise.any(sel(page, group).map((l) => l.first().waitFor({ timeout }).then(() => l))).catch(() => null);
+  if (hit) selectors.match(hit);
+  return hit;
+}
+
+// Rehearsal: the control a real run would click to send (recorded as matched), found but never clicked
+async function findSendControl(page, groups) {
+  for (const group of groups) {
+    const loc = await firstVisible(page, group, 1500);
+    if (loc) return { group, id: selectors.match(loc)?.id ?? null };
+  }
+  return null;
+}
+
+// Picks up a changed SELECTORS_PATH, or a new version from the API; a bad document keeps the current one.
+async function refreshSelectors() {
+  try {
+    if (SELECTORS_SOURCE === "api") selectors.load(await apiGet("/selectors"), "api");
+    else selectors.loadFile();
+  } catch (e) { log.warn("selectors", `refresh failed, keeping ${selectors.version}:`, e.message || e); }
+}
+
+// ---------- Per-account throttle ----------
+// Keyed by userId and persisted to STATE_DIR/throttle/<user>.json, so restarts, redeploys and
+// crash loops keep the hourly budget and cooldowns of every account.
+class AccountThrottle {
+  constructor(dir = path.join(STATE_DIR, "throttle")) { this.dir = dir; this.state = new Map(); }
+  _file(userId) { return path.join(this.dir, `${sanitizeUserId(userId)}.json`); }
+  _get(userId) {
+    const key = sanitizeUserId(userId);
+    if (!this.state.has(key)) {
+      let st = { lastActionAt: 0, events: [], cooldownUntil: 0, sends: { invite: [], message: [] } };
+      try {
+        const saved = JSON.parse(fs.readFileSync(this._file(key), "utf8"));
+        st = {
+          lastActionAt: Number(saved.lastActionAt) || 0,
+          events: Array.isArray(saved.events) ? saved.events.filter(Number.isFinite).sort((x, y) => x - y) : [],
+          cooldownUntil: Number(saved.cooldownUntil) || 0,
+          sends: {
+            invite: Array.isArray(saved.sends?.invite) ? saved.sends.invite.filter(Number.isFinite).sort((x, y) => x - y) : [],
+            message: Array.isArray(saved.sends?.message) ? saved.sends.message.filter(Number.isFinite).sort((x, y) => x - y) : [],
+          },
+        };
+      } catch {}
+      this.state.set(key, st);
+    }
+    return this.state.get(key);
+  }
+  _save(userId) {
+    const st = this._get(userId); const file = this._file(userId);
+    try {
+      fs.mkdirSync(this.dir, { recursive: true });
+      fs.writeFileSync(`${file}.tmp`, JSON.stringify(st));
+      fs.renameSync(`${file}.tmp`, file);
+    } catch (e) { log.warn("throttle", "state save failed:", e?.message || e); }
+  }
   _pruneOld(events) { const cutoff = now() - 3600_000; while (events.length && events[0] < cutoff) events.shift(); }
-  async reserve(domain, label = "action") {
-    const st = this._get(domain);
+  // ms until this account may act again (0 = free now)
+  delayFor(userId) {
+    const st = this._get(userId);
+    this._pruneOld(st.events);
+    const nowTs = now(); const waits = [0];
+    if (st.cooldownUntil && st.cooldownUntil > nowTs) waits.push(st.cooldownUntil - nowTs);
+    if (st.events.length >= MAX_ACTIONS_PER_HOUR) waits.push((st.events[st.events.length - MAX_ACTIONS_PER_HOUR] + 3600_000) - nowTs);
+    const sinceLast = nowTs - (st.lastActionAt || 0);
+    if (sinceLast < MIN_GAP_MS) waits.push(MIN_GAP_MS - sinceLast);
+    return Math.max(...waits);
+  }
+  async reserve(userId, label = "action") {
+    const st = this._get(userId);
     while (true) {
-      this._pruneOld(st.events);
-      const nowTs = now(); const waits = [];
-      if (st.cooldownUntil && st.cooldownUntil > nowTs) waits.push(st.cooldownUntil - nowTs);
-      if (st.events.length >= MAX_ACTIONS_PER_HOUR) waits.push((st.events[0] + 3600_000) - nowTs);
-      const sinceLast = nowTs - (st.lastActionAt || 0);
-      if (sinceLast < MIN_GAP_MS) waits.push(MIN_GAP_MS - sinceLast);
-      if (waits.length) {
-        const waitMs = Math.max(...waits) + within(1500, 3500);
-        console.log(`[throttle] Waiting ${Math.ceil(waitMs/1000)}s before ${label} (used: ${st.events.length}/${MAX_ACTIONS_PER_HOUR})`);
+      const delay = this.delayFor(userId);
+      if (delay > 0) {
+        const waitMs = delay + within(1500, 3500);
+        log.info("throttle", `${userId}: waiting ${Math.ceil(waitMs/1000)}s before ${label} (used: ${st.events.length}/${MAX_ACTIONS_PER_HOUR})`);
+        mThrottleWaits.inc(); mThrottleWaitSeconds.inc({}, waitMs / 1000);
         await sleep(waitMs); continue;
       }
+      const nowTs = now();
       st.lastActionAt = nowTs; st.events.push(nowTs);
-      console.log(`[throttle] Reserved slot for ${label}. Used this hour: ${st.events.length}/${MAX_ACTIONS_PER_HOUR}`);
+      this._save(userId);
+      log.info("throttle", `${userId}: reserved slot for ${label}. Used this hour: ${st.events.length}/${MAX_ACTIONS_PER_HOUR}`);
       return;
     }
   }
-  success(domain) { const st = this._get(domain); st.cooldownUntil = Math.max(st.cooldownUntil, now() + COOLDOWN_AFTER_SENT_MS); }
-  failure(domain) { const st = this._get(domain); st.cooldownUntil = Math.max(st.cooldownUntil, now() + COOLDOWN_AFTER_FAIL_MS); }
+  // Counts a real send against the daily/weekly quotas ("invite" | "message")
+  record(userId, kind) {
+    const st = this._get(userId);
+    const list = st.sends[kind] || (st.sends[kind] = []);
+    const cutoff = now() - 7 * 86400_000;
+    while (list.length && list[0] < cutoff) list.shift();
+    list.push(now());
+    this._save(userId);
+  }
+  // ms until the account is back under its daily/weekly quota for this kind, with the limit that blocks
+  quotaDelay(userId, kind, { daily = 0, weekly = 0 } = {}) {
+    const list = this._get(userId).sends[kind] || [];
+    const nowTs = now(); let delay = 0; let reason = null;
+    for (const [limit, period, label] of [[daily, 86400_000, "daily"], [weekly, 7 * 86400_000, "weekly"]]) {
+      if (!limit) continue;
+      const inWindow = list.filter((t) => t > nowTs - period);
+      if (inWindow.length < limit) continue;
+      const d = (inWindow[inWindow.length - limit] + period) - nowTs;
+      if (d > delay) { delay = d; reason = `${label} ${kind} quota reached (${inWindow.length}/${limit})`; }
+    }
+    return { delayMs: delay, reason };
+  }
+  success(userId) { const st = this._get(userId); st.cooldownUntil = Math.max(st.cooldownUntil, now() + COOLDOWN_AFTER_SENT_MS); this._save(userId); }
+  failure(userId) { const st = this._get(userId); st.cooldownUntil = Math.max(st.cooldownUntil, now() + COOLDOWN_AFTER_FAIL_MS); this._save(userId); }
+}
+const throttle = new AccountThrottle();
+
+// ---------- Action ledger ----------
+// Every real send is written to STATE_DIR/ledger/<user>.json under its job id and a content key
+// (profile, action, text hash). A re-delivered job, or a second job asking for the same send,
+// finds it there and reports "already_sent" instead of acting again. The entry is first written as
+// "attempted" right before the Send click and resolved once the outcome is known, so a crash or a
+// throw in between still blocks a repeat (reported as "unconfirmed").
+const SENT_ACTIONS = new Set(["sent", "sent_with_note", "sent_without_note", "sent_maybe", "unconfirmed"]);
+
+// "https://www.linkedin.com/in/Jane-Doe/?x=1" and "…/m/in/jane-doe" → "jane-doe"
+function profileKeyOf(url) {
+  const m = String(url || "").match(/linkedin\.com\/(?:m\/)?in\/([^/?#]+)/i);
+  if (!m) return String(url || "").split(/[?#]/)[0].replace(/\/+$/, "").toLowerCase();
+  try { return decodeURIComponent(m[1]).toLowerCase(); } catch { return m[1].toLowerCase(); }
+}
+
+class ActionLedger {
+  constructor(dir = path.join(STATE_DIR, "ledger")) { this.dir = dir; this.state = new Map(); }
+  // An invite is the same invite whatever its note; messages are keyed by their normalized text
+  static key(profileUrl, action, text = "") {
+    const hash = crypto.createHash("sha256").update(action === "invite" ? "" : normalizeComposerText(text)).digest("hex").slice(0, 16);
+    return `${profileKeyOf(profileUrl)}|${action}|${hash}`;
+  }
+  _file(userId) { return path.join(this.dir, `${sanitizeUserId(userId)}.json`); }
+  _get(userId) {
+    const key = sanitizeUserId(userId);
+    if (!this.state.has(key)) {
+      let entries = [];
+      try {
+        const saved = JSON.parse(fs.readFileSync(this._file(key), "utf8"));
+        if (Array.isArray(saved.entries)) entries = saved.entries.filter((e) => e && e.key && Number.isFinite(e.at));
+      } catch {}
+      this.state.set(key, entries);
+    }
+    const entries = this.state.get(key);
+    const cutoff = now() - LEDGER_DEDUPE_MS;
+    while (entries.length && entries[0].at < cutoff) entries.shift();
+    return entries;
+  }
+  _save(userId) {
+    const file = this._file(userId);
+    try {
+      fs.mkdirSync(this.dir, { recursive: true });
+      fs.writeFileSync(`${file}.tmp`, JSON.stringify({ entries: this._get(userId) }));
+      fs.renameSync(`${file}.tmp`, file);
+    } catch (e) { log.warn("ledger", "save failed:", e?.message || e); }
+  }
+  // Latest entry for this job id and/or content key, or null
+  find(userId, { jobId = null, key = null } = {}) {
+    const entries = this._get(userId);
+    for (let i = entries.length - 1; i >= 0; i--) {
+      const e = entries[i];
+      if ((jobId && e.jobId === jobId) || (key && e.key === key)) return e;
+    }
+    return null;
+  }
+  // Adds an entry, or resolves this job's "attempted" entry for the same key
+  record(userId, { jobId = null, key, actionTaken }) {
+    const entries = this._get(userId);
+    const attempted = jobId && entries.find((e) => e.jobId === jobId && e.key === key && e.actionTaken === "attempted");
+    if (attempted) attempted.actionTaken = actionTaken;
+    else entries.push({ jobId, key, actionTaken, at: now() });
+    this._save(userId);
+  }
+}
+const ledger = new ActionLedger();
+
+// Names the ledger entry the running job writes as "attempted" when it clicks Send
+function armLedger(userId, key) { const ctx = jobContext.getStore(); if (ctx) ctx.ledgerArm = { userId, key }; }
+
+function alreadySentResult(prior, profileUrl, relationshipStatus) {
+  const by = prior.jobId ? `job ${prior.jobId}` : "an earlier job";
+  if (prior.actionTaken === "attempted") {
+    return { outcome: "unconfirmed", mode: "real", profileUrl, actionTaken: "unconfirmed", relationshipStatus, details: `Send was clicked by ${by} at ${new Date(prior.at).toISOString()} without confirmation; not sending again` };
+  }
+  return { outcome: "success", mode: "real", profileUrl, actionTaken: "already_sent", relationshipStatus, details: `Already sent by ${by} at ${new Date(prior.at).toISOString()} (${prior.actionTaken})` };
+}
+
+// ---------- Suppression list ----------
+// { "entries": [ { "profileUrl"?, "publicIdentifier"?, "company"?, "reason"? }, … ] } (a bare array works too).
+// The file and the API each contribute their own entries; a sync replaces only the API's. Profiles match
+// on profileKeyOf(url) / the public identifier, companies on payload.company after normalization.
+const mSuppressed = metrics.counter("linqbridge_suppressed_total", "Jobs blocked by the suppression list by match field");
+
+// "Acme, Inc." / "ACME Inc" → "acme inc"
+const normalizeCompany = (s) => String(s || "").normalize("NFKC").toLowerCase().replace(/[^\p{L}\p{N}]+/gu, " ").trim();
+
+class SuppressionList {
+  constructor() { this.sources = {}; this.mtimeMs = 0; this.syncedAt = 0; this.profiles = new Map(); this.companies = new Map(); }
+  load(doc, source) {
+    const list = Array.isArray(doc) ? doc : doc?.entries;
+    if (!Array.isArray(list)) throw new Error(`suppression list from ${source} must be an array or { entries: [...] }`);
+    this.sources[source] = list.filter((e) => e && typeof e === "object");
+    this.profiles = new Map(); this.companies = new Map();
+    for (const [src, entries] of Object.entries(this.sources)) {
+      for (const e of entries) {
+        const hit = { source: src, reason: e.reason || null };
+        if (e.profileUrl) this.profiles.set(profileKeyOf(e.profileUrl), { ...hit, field: "profileUrl", value: e.profileUrl });
+        if (e.publicIdentifier) this.profiles.set(String(e.publicIdentifier).toLowerCase(), { ...hit, field: "publicIdentifier", value: e.publicIdentifier });
+        if (normalizeCompany(e.company)) this.companies.set(normalizeCompany(e.company), { ...hit, field: "company", value: e.company });
+      }
+    }
+    log.info("suppression", `${this.sources[source].length} entr${this.sources[source].length === 1 ? "y" : "ies"} loaded from ${source} (${this.profiles.size} profiles, ${this.companies.size} companies in total)`);
+  }
+  loadFile(file = SUPPRESSION_PATH) {
+    let mtimeMs;
+    try { ({ mtimeMs } = fs.statSync(file)); }
+    catch { if (this.sources.file?.length) this.load([], "file"); this.mtimeMs = 0; return false; }
+    if (mtimeMs === this.mtimeMs) return false;
+    this.load(JSON.parse(fs.readFileSync(file, "utf8")), "file");
+    this.mtimeMs = mtimeMs;
+    return true;
+  }
+  // → { field, value, source, reason } for the first entry the target matches, or null
+  match({ profileUrl, publicIdentifier, company } = {}) {
+    for (const key of [profileUrl && profileKeyOf(profileUrl), publicIdentifier && String(publicIdentifier).toLowerCase()]) {
+      if (key && this.profiles.has(key)) return this.profiles.get(key);
+    }
+    return (company && this.companies.get(normalizeCompany(company))) || null;
+  }
+}
+const suppressions = new SuppressionList();
+try { suppressions.loadFile(); } catch (e) { log.error("suppression", `cannot read ${SUPPRESSION_PATH}:`, e.message || e); }
+
+// A bad file or a failed sync keeps the entries already loaded
+async function refreshSuppressions() {
+  try { suppressions.loadFile(); } catch (e) { log.warn("suppression", `${SUPPRESSION_PATH} not reloaded:`, e.message || e); }
+  if (!SUPPRESSION_SYNC) return;
+  try { suppressions.load(await apiGet("/suppressions"), "api"); suppressions.syncedAt = now(); }
+  catch (e) { log.warn("suppression", "sync failed, keeping the last list:", e.message || e); }
+}
+
+// Fails closed once the API has served the list: while that list is stale a SEND waits rather than risk
+// contacting someone on it. Until a first sync nothing waits, so a backend without /suppressions (or one
+// failing since startup) cannot block every send. → { delayMs, reason } or null
+const suppressionsStale = () => SUPPRESSION_SYNC && suppressions.syncedAt > 0 && now() - suppressions.syncedAt > SUPPRESSION_MAX_AGE_MS;
+let suppressionBlockLoggedAt = 0;
+function suppressionDeferral() {
+  if (!suppressionsStale()) return null;
+  const reason = `do-not-contact list last synced ${Math.round((now() - suppressions.syncedAt) / 60000)} min ago`;
+  if (now() - suppressionBlockLoggedAt >= 5 * 60_000) {
+    suppressionBlockLoggedAt = now();
+    log.warn("suppression", `SEND jobs are deferred until GET /suppressions succeeds again: ${reason}`);
+  }
+  return { delayMs: 5 * 60_000, reason };
+}
+
+// The "suppressed" result for a job whose target is on the list (audited), or null
+function suppressionCheck(job, targetUrl) {
+  // A stat per check: an edited file applies to the very next job
+  try { suppressions.loadFile(); } catch (e) { log.warn("suppression", `${SUPPRESSION_PATH} not reloaded:`, e.message || e); }
+  const p = job?.payload || {};
+  const hit = suppressions.match({ profileUrl: targetUrl, publicIdentifier: p.publicIdentifier, company: p.company });
+  if (!hit) return null;
+  mSuppressed.inc({ field: hit.field });
+  const record = { at: new Date().toISOString(), jobId: job?.id || null, jobType: job?.type || null, userId: p.userId || "default", profileUrl: targetUrl, match: hit };
+  try {
+    fs.mkdirSync(path.dirname(SUPPRESSION_AUDIT_PATH), { recursive: true });
+    fs.appendFileSync(SUPPRESSION_AUDIT_PATH, `${JSON.stringify(record)}\n`);
+  } catch (e) { log.error("suppression", "audit write failed:", e?.message || e); }
+  log.info("suppression", `${job?.type} for ${targetUrl} blocked (${hit.field} "${hit.value}" from ${hit.source})`);
+  return { outcome: "suppressed", profileUrl: targetUrl, actionTaken: "none", suppression: hit, details: `Target is on the do-not-contact list (${hit.field})${hit.reason ? `: ${hit.reason}` : ""}` };
+}
+
+// ---------- Account schedule & quotas ----------
+const DAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+// "Mon-Fri", "Mon–Fri", "mon,wed,fri", "Sat-Sun" → Set of weekday indexes (0 = Sunday); empty = every day
+function parseActiveDays(spec) {
+  const days = new Set();
+  for (const part of String(spec || "").toLowerCase().split(",").map((x) => x.trim()).filter(Boolean)) {
+    const [a, b] = part.split(/\s*[-–]\s*/).map((x) => DAY_NAMES.indexOf(x.slice(0, 3)));
+    if (a < 0 || (b !== undefined && b < 0)) throw new Error(`Invalid active days: ${spec}`);
+    if (b === undefined) { days.add(a); continue; }
+    for (let d = a; ; d = (d + 1) % 7) { days.add(d); if (d === b) break; }
+  }
+  return days.size ? days : new Set([0, 1, 2, 3, 4, 5, 6]);
+}
+
+// "09:00-18:00" → { start, end } in minutes of the day; windows may wrap midnight; empty = all day
+function parseActiveHours(spec) {
+  if (!String(spec || "").trim()) return { start: 0, end: 1440 };
+  const m = String(spec).trim().match(/^(\d{1,2}):(\d{2})\s*[-–]\s*(\d{1,2}):(\d{2})$/);
+  if (!m || +m[1] > 24 || +m[3] > 24 || +m[2] > 59 || +m[4] > 59) throw new Error(`Invalid active hours: ${spec}`);
+  return { start: (+m[1]) * 60 + (+m[2]), end: (+m[3]) * 60 + (+m[4]) };
+}
+
+function localClock(ts, timezone) {
+  const parts = new Intl.DateTimeFormat("en-US", { timeZone: timezone, weekday: "short", hour: "2-digit", minute: "2-digit", second: "2-digit", hourCycle: "h23" })
+    .formatToParts(new Date(ts)).reduce((acc, p) => { acc[p.type] = p.value; return acc; }, {});
+  return { day: DAY_NAMES.indexOf(parts.weekday.toLowerCase()), minute: (+parts.hour) * 60 + (+parts.minute), second: +parts.second };
+}
+
+// ms until the activity window is open (0 = open now). DST shifts inside the wait may skew it by up to an hour.
+function windowDelay(ts, { timezone, activeDays, activeHours }) {
+  const days = parseActiveDays(activeDays);
+  const { start, end } = parseActiveHours(activeHours);
+  const inHours = (m) => (start <= end ? m >= start && m < end : m >= start || m < end);
+  let { day, minute, second } = localClock(ts, timezone);
+  for (let step = 0; step <= 8 * 1440; step++) {
+    if (days.has(day) && inHours(minute)) return step === 0 ? 0 : step * 60_000 - second * 1000;
+    if (++minute >= 1440) { minute = 0; day = (day + 1) % 7; }
+  }
+  return 0;
+}
+
+let accountPoliciesCache = { mtimeMs: -1, data: {} };
+function loadAccountPolicies() {
+  try {
+    const st = fs.statSync(ACCOUNT_POLICIES_PATH);
+    if (st.mtimeMs !== accountPoliciesCache.mtimeMs) {
+      const raw = JSON.parse(fs.readFileSync(ACCOUNT_POLICIES_PATH, "utf8"));
+      const data = {};
+      for (const [k, v] of Object.entries(raw || {})) data[sanitizeUserId(k)] = v || {};
+      accountPoliciesCache = { mtimeMs: st.mtimeMs, data };
+    }
+  } catch (e) {
+    if (e?.code !== "ENOENT") log.warn("schedule", "account policies load failed:", e?.message || e);
+    else accountPoliciesCache = { mtimeMs: -1, data: {} };
+  }
+  return accountPoliciesCache.data;
+}
+
+// Effective schedule/quotas for an account: env defaults overridden by ACCOUNT_POLICIES_PATH[userId]
+function accountPolicy(userId) {
+  const o = loadAccountPolicies()[sanitizeUserId(userId)] || {};
+  const pick = (v, d) => (v === undefined || v === null ? d : v);
+  let timezone = pick(o.timezone, ACTIVE_TIMEZONE);
+  try { new Intl.DateTimeFormat("en-US", { timeZone: timezone }); }
+  catch { log.info("schedule", `invalid timezone "${timezone}" for ${userId}; using ${ACTIVE_TIMEZONE}`); timezone = ACTIVE_TIMEZONE; }
+  let locale = pick(o.locale, BROWSER_LOCALE);
+  try { [locale] = Intl.getCanonicalLocales(locale); }
+  catch { log.info("schedule", `invalid locale "${locale}" for ${userId}; using ${BROWSER_LOCALE}`); locale = BROWSER_LOCALE; }
+  return {
+    timezone, locale,
+    activeDays: pick(o.activeDays, ACTIVE_DAYS),
+    activeHours: pick(o.activeHours, ACTIVE_HOURS),
+    invite: { daily: pick(o.dailyInviteLimit, DAILY_INVITE_LIMIT), weekly: pick(o.weeklyInviteLimit, WEEKLY_INVITE_LIMIT) },
+    message: { daily: pick(o.dailyMessageLimit, DAILY_MESSAGE_LIMIT), weekly: pick(o.weeklyMessageLimit, WEEKLY_MESSAGE_LIMIT) },
+  };
+}
+
+const ACTION_KIND_BY_JOB = { SEND_CONNECTION: "invite", SEND_MESSAGE: "message" };
+
+// Decides whether a claimed job should go back to the queue instead of running now. A policy or window
+// that cannot be evaluated defers the job rather than letting it send at any hour.
+function deferralFor(job) {
+  const kind = ACTION_KIND_BY_JOB[job?.type];
+  if (!kind) return null;
+  const userId = job?.payload?.userId || "default";
+  const broken = (what, e) => {
+    log.error("schedule", `${what} for ${userId}:`, e?.message || e);
+    return { delayMs: 30 * 60_000 + within(5_000, 60_000), reason: `${what}: ${e?.message || e}` };
+  };
+  let policy;
+  try { policy = accountPolicy(userId); }
+  catch (e) { return broken("account policy error", e); }
+
+  const candidates = [];
+  try {
+    const w = windowDelay(now(), policy);
+    if (w > 0) candidates.push({ delayMs: w, reason: `outside activity window (${policy.activeDays || "every day"} ${policy.activeHours || "all day"} ${policy.timezone})` });
+  } catch (e) { return broken("invalid activity window", e); }
+  const q = throttle.quotaDelay(userId, kind, policy[kind]);
+  if (q.delayMs > 0) candidates.push(q);
+  const t = throttle.delayFor(userId);
+  if (t > DEFER_THRESHOLD_MS) candidates.push({ delayMs: t, reason: "hourly limit or cooldown" });
+  const auth = authDeferral(userId);
+  if (auth) candidates.push(auth);
+  const list = suppressionDeferral();
+  if (list) candidates.push(list);
+  if (!selectors.version) candidates.push({ delayMs: 5 * 60_000, reason: "no selector registry loaded yet" });
+  if (!candidates.length) return null;
+  const worst = candidates.reduce((a, b) => (b.delayMs > a.delayMs ? b : a));
+  return { delayMs: worst.delayMs + within(5_000, 60_000), reason: worst.reason };
+}
+
+// ---------- Session file encryption ----------
+// On disk: { format: "linqbridge-state", v: 1, alg: "aes-256-gcm", kid, iv, tag, data } where kid is a
+// fingerprint of the key, so a wrong-key error can say which key wrote the file. A job that hits one is
+// auth_required: retrying cannot fix a key, and the account's sends wait until someone does.
+class StateKeyError extends Error {
+  constructor(message) { super(message); this.name = "StateKeyError"; this.code = "auth_required"; }
+}
+const STATE_AAD = Buffer.from("linqbridge:storage-state:v1");
+redact(STATE_ENCRYPTION_KEY);
+
+function parseStateKey(raw) {
+  if (!raw) throw new StateKeyError("STATE_ENCRYPTION_KEY is not set; session files are neither read nor written (generate one with `openssl rand -hex 32`)");
+  const key = /^[0-9a-f]{64}$/i.test(raw) ? Buffer.from(raw, "hex") : Buffer.from(raw, "base64");
+  if (key.length !== 32) throw new StateKeyError("STATE_ENCRYPTION_KEY must be 32 bytes: 64 hex characters or base64");
+  return key;
+}
+let stateKeyCache = null;
+function stateKey() { return (stateKeyCache ??= parseStateKey(STATE_ENCRYPTION_KEY)); }
+const keyId = (key) => crypto.createHash("sha256").update(key).digest("hex").slice(0, 8);
+
+function encryptState(state, key = stateKey()) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  cipher.setAAD(STATE_AAD);
+  const data = Buffer.concat([cipher.update(JSON.stringify(state), "utf8"), cipher.final()]);
+  return { format: "linqbridge-state", v: 1, alg: "aes-256-gcm", kid: keyId(key), iv: iv.toString("base64"), tag: cipher.getAuthTag().toString("base64"), data: data.toString("base64") };
+}
+function decryptState(envelope, key = stateKey(), file = "session file") {
+  if (envelope.v !== 1 || envelope.alg !== "aes-256-gcm") throw new StateKeyError(`${file}: unsupported encryption format v${envelope.v}/${envelope.alg}`);
+  try {
+    const decipher = crypto.createDecipheriv("aes-256-gcm", key, Buffer.from(envelope.iv, "base64"));
+    decipher.setAAD(STATE_AAD);
+    decipher.setAuthTag(Buffer.from(envelope.tag, "base64"));
+    return JSON.parse(Buffer.concat([decipher.update(Buffer.from(envelope.data, "base64")), decipher.final()]).toString("utf8"));
+  } catch {
+    const why = envelope.kid && envelope.kid !== keyId(key)
+      ? `it was encrypted under key ${envelope.kid}, STATE_ENCRYPTION_KEY is ${keyId(key)}`
+      : "wrong STATE_ENCRYPTION_KEY or the file was modified";
+    throw new StateKeyError(`${file}: cannot decrypt (${why})`);
+  }
+}
+
+const isEnvelope = (doc) => doc?.format === "linqbridge-state";
+const isStorageState = (doc) => Array.isArray(doc?.cookies) && Array.isArray(doc?.origins);
+
+function writeStateFile(file, state, key = stateKey()) {
+  const body = JSON.stringify(encryptState(state, key));
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(`${file}.tmp`, body, { mode: 0o600 });
+  fs.renameSync(`${file}.tmp`, file);
+}
+// storageState from `file`, or undefined when there is none. A plaintext storageState from before
+// encryption is rewritten encrypted on first read; any other JSON is refused, never rewritten.
+function readStateFile(file, key = stateKey()) {
+  let raw;
+  try { raw = fs.readFileSync(file, "utf8"); }
+  catch (e) { if (e.code === "ENOENT") return undefined; throw e; }
+  let doc;
+  try { doc = JSON.parse(raw); } catch { throw new StateKeyError(`${file}: not a session file (invalid JSON)`); }
+  if (isEnvelope(doc)) return decryptState(doc, key, file);
+  if (!isStorageState(doc)) throw new StateKeyError(`${file}: not a session file (no cookies/origins)`);
+  writeStateFile(file, doc, key);
+  log.info("auth", `migrated plaintext storageState ${file} to encrypted`);
+  return doc;
+}
+
+// Session files used to sit directly in STATE_DIR next to the ledger, suppressions and credentials. Those that
+// look like a session (an envelope or a storageState) move to SESSIONS_DIR; everything else stays put.
+function moveLegacySessionFiles() {
+  const keep = new Set([ACCOUNT_POLICIES_PATH, SUPPRESSION_PATH, CREDENTIALS_PATH, DEFAULT_STATE_PATH].map((f) => path.resolve(f)));
+  let names;
+  try { names = fs.readdirSync(STATE_DIR).filter((n) => n.endsWith(".json")); } catch { return 0; }
+  let moved = 0;
+  for (const name of names) {
+    const from = path.join(STATE_DIR, name), to = path.join(SESSIONS_DIR, name);
+    if (keep.has(path.resolve(from)) || fs.existsSync(to)) continue;
+    let doc;
+    try { doc = JSON.parse(fs.readFileSync(from, "utf8")); } catch { continue; }
+    if (!isEnvelope(doc) && !isStorageState(doc)) continue;
+    fs.mkdirSync(SESSIONS_DIR, { recursive: true });
+    fs.renameSync(from, to);
+    moved++;
+  }
+  if (moved) log.info("auth", `moved ${moved} session file(s) to ${SESSIONS_DIR}`);
+  return moved;
+}
+
+// Startup pass: every stored session is read once, so plaintext ones are encrypted now rather than at their
+// account's next job, and files the key cannot open are reported up front
+function sweepSessionFiles() {
+  let names = [];
+  try { names = fs.readdirSync(SESSIONS_DIR).filter((n) => n.endsWith(".json")); } catch {}
+  for (const file of [...names.map((n) => path.join(SESSIONS_DIR, n)), DEFAULT_STATE_PATH]) {
+    try { readStateFile(file); } catch (e) { log.error("auth", e.message); }
+  }
 }
-const throttle = new DomainThrottle();
 
 // ---------- Playwright boot ----------
-async function createBrowserContext({ headless, userStatePath }) {
+// "de-DE" → ["de-DE", "de"]; English stays as a low-priority fallback
+function browserLanguages(locale) {
+  const base = locale.split("-")[0];
+  return [...new Set([locale, base, "en"])];
+}
+function acceptLanguage(locale) {
+  return browserLanguages(locale).map((l, i) => (i ? `${l};q=${(1 - i / 10).toFixed(1)}` : l)).join(",");
+}
+
+// The session file a new context starts from: the user's own, else the shared default (none with FORCE_RELOGIN)
+function storedStateFile(userStatePath) {
+  return FORCE_RELOGIN ? null : [userStatePath, DEFAULT_STATE_PATH].find((f) => f && fs.existsSync(f)) || null;
+}
+
+async function createBrowserContext({ headless, userStatePath, locale = BROWSER_LOCALE, timezone = ACTIVE_TIMEZONE }) {
   await fsp.mkdir(path.dirname(userStatePath || DEFAULT_STATE_PATH), { recursive: true }).catch(()=>{});
+  // Fails closed before any browser starts: a missing/wrong key throws StateKeyError
+  const key = stateKey();
+  const stateFile = storedStateFile(userStatePath);
+  const storageState = stateFile ? readStateFile(stateFile, key) : undefined;
   const launchOpts = {
     headless: !!headless,
     slowMo: SLOWMO_MS,
@@ -181,34 +1066,35 @@ async function createBrowserContext({ headless, userStatePath }) {
   const browser = await chromium.launch(launchOpts);
   const vw = 1280 + Math.floor(Math.random() * 192);
   const vh = 720 + Math.floor(Math.random() * 160);
-  const storageStateOpt =
-    (!FORCE_RELOGIN && userStatePath && fs.existsSync(userStatePath)) ? userStatePath :
-    (!FORCE_RELOGIN && fs.existsSync(DEFAULT_STATE_PATH) ? DEFAULT_STATE_PATH : undefined);
 
   const context = await browser.newContext({
     userAgent: "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36",
-    locale: "en-US", timezoneId: "America/Los_Angeles",
+    locale, timezoneId: timezone,
     viewport: { width: vw, height: vh }, javaScriptEnabled: true,
-    recordVideo: { dir: "/tmp/pw-video" }, storageState: storageStateOpt,
+    recordVideo: VIDEO_MODE === "off" ? undefined : { dir: VIDEO_RAW_DIR }, storageState,
   });
+  if (VIDEO_MODE !== "off") {
+    recordingContexts.add(context);
+    context.on("close", () => recordingContexts.delete(context));
+  }
   await context.setExtraHTTPHeaders({
-    "accept-language": "en-US,en;q=0.9",
+    "accept-language": acceptLanguage(locale),
     "upgrade-insecure-requests": "1",
     "sec-ch-ua": '"Chromium";v="124", "Not:A-Brand";v="8"',
     "sec-ch-ua-platform": '"Windows"',
     "sec-ch-ua-mobile": "?0",
     referer: "https://www.google.com/",
   });
-  await context.addInitScript(() => {
+  await context.addInitScript((languages) => {
     Object.defineProperty(navigator, "webdriver", { get: () => false });
     try {
       Object.defineProperty(navigator, "hardwareConcurrency", { get: () => 8 });
-      Object.defineProperty(navigator, "language", { get: () => "en-US" });
-      Object.defineProperty(navigator, "languages", { get: () => ["en-US","en"] });
+      Object.defineProperty(navigator, "language", { get: () => languages[0] });
+      Object.defineProperty(navigator, "languages", { get: () => languages });
       Object.defineProperty(navigator, "userAgent", { get: () =>
         "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36" });
     } catch {}
-  });
+  }, browserLanguages(locale));
   const page = await context.newPage();
   page.setDefaultTimeout(DEFAULT_TIMEOUT_MS);
   page.setDefaultNavigationTimeout(NAV_TIMEOUT_MS);
@@ -224,51 +1110,308 @@ async function newPageInContext(context) {
 }
 async function saveStorageState(context, outPath) {
   try {
-    await fsp.mkdir(path.dirname(outPath), { recursive: true });
-    await context.storageState({ path: outPath });
-    console.log("[auth] storageState saved to", outPath);
-  } catch (e) { console.log("[auth] storageState save failed:", e?.message || e); }
+    writeStateFile(outPath, await context.storageState());
+    log.info("auth", "storageState saved (encrypted) to", outPath);
+  } catch (e) { (e instanceof StateKeyError ? log.error : log.warn)("auth", "storageState save failed:", e?.message || e); }
 }
 
+// ---------- Session pool ----------
+// One authenticated context per userId, reused across jobs. Sessions idle longer than
+// SESSION_IDLE_TTL_MS (or the least recently used one when the pool is full) are evicted,
+// saving their storageState first. A pooled session is health-checked before reuse.
+class SessionPool {
+  constructor() { this.sessions = new Map(); this.timer = null; }
+
+  _startSweeper() {
+    if (this.timer || !SESSION_POOL_ENABLED) return;
+    // Started by whichever job pools the first session; outside its context, or every sweep would log as that job
+    this.timer = jobContext.exit(() => setInterval(() => { this.evictIdle().catch(() => {}); }, Math.min(60_000, SESSION_IDLE_TTL_MS)));
+    this.timer.unref?.();
+  }
+
+  // Past VIDEO_SESSION_MAX_MS its recording is as long as the session is old: time for a fresh one
+  _recordingTooLong(s) { return VIDEO_MODE !== "off" && VIDEO_SESSION_MAX_MS > 0 && now() - s.startedAt > VIDEO_SESSION_MAX_MS; }
+
+  async _healthy(s) {
+    try {
+      if (!s.browser.isConnected() || s.page.isClosed()) return false;
+      const ok = await Promise.race([ s.page.evaluate(() => document.readyState).then(() => true), sleep(5000).then(() => false) ]);
+      if (!ok) return false;
+      return !(await isAuthWalledOrGuest(s.page));
+    } catch { return false; }
+  }
+
+  // → { context, page, auth, reused } with auth.ok=false when the user could not be authenticated
+  async acquire(userId) {
+    const key = sanitizeUserId(userId);
+    const userStatePath = statePathForUser(userId);
+    const pooled = this.sessions.get(key);
+    if (pooled && !pooled.inUse && this._recordingTooLong(pooled)) {
+      log.info("pool", `recycling session for ${userId} (video recording since ${new Date(pooled.startedAt).toISOString()})`);
+      await this.evict(key);
+    } else if (pooled) {
+      if (pooled.inUse) throw new Error(`Session for ${userId} is already in use`);
+      if (await this._healthy(pooled)) {
+        pooled.inUse = true; pooled.lastUsedAt = now();
+        log.info("pool", `reusing session for ${userId} (jobs: ${pooled.jobs})`);
+        return { context: pooled.context, page: pooled.page, auth: { ok: true, via: "pooled", url: pooled.page.url() }, reused: true };
+      }
+      log.info("pool", `session for ${userId} failed health check; relaunching`);
+      await this.evict(key, { save: false });
+    }
+    if (SESSION_POOL_ENABLED && this.sessions.size >= SESSION_POOL_MAX) {
+      const lru = [...this.sessions.entries()].filter(([, x]) => !x.inUse).sort((a, b) => a[1].lastUsedAt - b[1].lastUsedAt)[0];
+      if (lru) await this.evict(lru[0]);
+    }
+
+    // The browser's clock matches the account's activity window (and so where the account is run from)
+    const { locale, timezone } = accountPolicy(userId);
+    const { browser, context, page } = await createBrowserContext({ headless: HEADLESS, userStatePath, locale, timezone });
+    if (ARTIFACTS_ENABLED && ARTIFACT_TRACE) await context.tracing.start({ screenshots: true, snapshots: true }).catch((e) => log.warn("artifacts", "tracing start failed:", e?.message || e));
+    const s = { userId, userStatePath, browser, context, page, video: page.video?.(), inUse: true, startedAt: now(), lastUsedAt: now(), jobs: 0 };
+    let auth;
+    try {
+      auth = await ensureAuthenticated(context, page, userStatePath, userId);
+      if (auth.ok) await feedWarmup(page);
+    } catch (e) {
+      await captureAuthArtifacts(s, { outcome: classifyError(e), error: e?.message || String(e) });
+      await this._close(s, { save: false }); throw e;
+    }
+    if (!auth.ok) {
+      await captureAuthArtifacts(s, { outcome: "auth_required", error: auth.reason || "not signed in" });
+      await this._close(s, { save: false }); return { context: null, page: null, auth, reused: false };
+    }
+    await accountAuth.ok(userId, auth.via);
+    this.sessions.set(key, s);
+    this._startSweeper();
+    return { context, page, auth, reused: false };
+  }
+
+  // Background check of an idle pooled session: reloads the feed (which also refreshes its cookies).
+  // → true (signed in), false (signed out; session dropped) or null (nothing idle to check / inconclusive)
+  async revalidate(userId) {
+    const key = sanitizeUserId(userId);
+    const s = this.sessions.get(key);
+    if (!s || s.inUse) return null;
+    s.inUse = true;
+    let signedIn = null;
+    try {
+      await s.page.goto("https://www.linkedin.com/feed/", { waitUntil: "domcontentloaded", timeout: NAV_TIMEOUT_MS });
+      signedIn = !(await isAuthWalledOrGuest(s.page));
+      if (signedIn) await saveStorageState(s.context, s.userStatePath);
+    } catch (e) { log.warn("pool", `background check for ${userId} failed:`, e?.message || e); }
+    s.inUse = false;
+    if (signedIn !== true) await this.evict(key, { save: false });
+    return signedIn;
+  }
+
+  // discard=true closes the session (errors, auth loss); otherwise it stays pooled for the next job.
+  async release(userId, { discard = false } = {}) {
+    const key = sanitizeUserId(userId);
+    const s = this.sessions.get(key);
+    if (!s) return;
+    s.inUse = false; s.lastUsedAt = now(); s.jobs++;
+    for (const p of s.context.pages()) { if (p !== s.page) await p.close().catch(() => {}); }
+    if (discard || !SESSION_POOL_ENABLED) await this.evict(key, { save: !discard });
+  }
+
+  async evict(key, { save = true } = {}) {
+    const s = this.sessions.get(key);
+    if (!s) return;
+    this.sessions.delete(key);
+    await this._close(s, { save });
+  }
+
+  async evictIdle() {
+    const cutoff = now() - SESSION_IDLE_TTL_MS;
+    for (const [key, s] of [...this.sessions.entries()]) {
+      if (s.inUse) continue;
+      if (s.lastUsedAt < cutoff) { log.info("pool", `evicting idle session for ${s.userId}`); await this.evict(key); }
+      else if (this._recordingTooLong(s)) { log.info("pool", `recycling session for ${s.userId} (video recording too long)`); await this.evict(key); }
+    }
+  }
+
+  async closeAll() {
+    for (const key of [...this.sessions.keys()]) await this.evict(key);
+    if (this.timer) { clearInterval(this.timer); this.timer = null; }
+  }
+
+  async _close(s, { save }) {
+    if (save && s.browser.isConnected()) await saveStorageState(s.context, s.userStatePath);
+    await s.browser.close().catch(() => {});
+    // The feed page lives as long as the session; its recording is only worth keeping in "always" mode
+    if (s.video) await keepOrDropVideo(s.video, VIDEO_MODE === "always" ? `session__${sanitizeUserId(s.userId)}__${now()}.webm` : null);
+  }
+}
+const sessions = new SessionPool();
+
 // ---------- Feed warmup ----------
 async function feedWarmup(page) {
   try {
     if (!/linkedin\.com\/feed\/?$/i.test(page.url())) {
-      console.log("[nav] → feed-desktop: https://www.linkedin.com/feed/");
+      log.info("nav", "→ feed-desktop: https://www.linkedin.com/feed/");
       await page.goto("https://www.linkedin.com/feed/", { waitUntil: "domcontentloaded", timeout: NAV_TIMEOUT_MS });
     }
-    if (FEED_INITIAL_WAIT_MS > 0) { console.log(`[feed] initial wait ${FEED_INITIAL_WAIT_MS} ms`); await sleep(FEED_INITIAL_WAIT_MS); }
-    console.log("[feed] waiting full load…"); await waitFullLoad(page, NAV_TIMEOUT_MS);
-    console.log("[feed] slow human scroll…"); await slowHumanScroll(page, Math.max(3000, FEED_SCROLL_MS || 6000));
-  } catch (e) { console.log("[feed] warmup error:", e?.message || e); }
+    if (FEED_INITIAL_WAIT_MS > 0) { log.info("feed", `initial wait ${FEED_INITIAL_WAIT_MS} ms`); await sleep(FEED_INITIAL_WAIT_MS); }
+    log.info("feed", "waiting full load…"); await waitFullLoad(page, NAV_TIMEOUT_MS);
+    log.info("feed", "slow human scroll…"); await slowHumanScroll(page, Math.max(3000, FEED_SCROLL_MS || 6000));
+  } catch (e) { log.warn("feed", "warmup error:", e?.message || e); }
+}
+
+// ---------- Credential login ----------
+// Credentials that LinkedIn rejected are not tried again until they change (userId → fingerprint)
+const rejectedCredentials = new Map();
+const credentialFingerprint = (c) => crypto.createHash("sha256").update(`${c.email}\n${c.password}`).digest("hex");
+redact(process.env.LINKEDIN_PASSWORD, process.env.LINKEDIN_TOTP_SECRET);
+
+let warnedPlaintextCredentials = false;
+
+// { email, password, totpSecret? } for an account, or null. Read at login time so a rotated secrets file
+// applies without a restart.
+function credentialsFor(userId) {
+  const key = sanitizeUserId(userId);
+  let creds = null;
+  try {
+    let doc = JSON.parse(fs.readFileSync(CREDENTIALS_PATH, "utf8"));
+    if (isEnvelope(doc)) doc = decryptState(doc, stateKey(), CREDENTIALS_PATH);
+    else if (!warnedPlaintextCredentials && !path.relative(path.resolve(STATE_DIR), path.resolve(CREDENTIALS_PATH)).startsWith("..")) {
+      warnedPlaintextCredentials = true;
+      log.warn("login", `${CREDENTIALS_PATH} holds plaintext credentials on the state volume; move it to a secrets mount or encrypt it (node worker.cjs encrypt-file)`);
+    }
+    const hit = Object.entries(doc || {}).find(([id]) => sanitizeUserId(id) === key);
+    if (hit) creds = hit[1];
+  } catch (e) { if (e.code !== "ENOENT") log.error("login", `cannot read ${CREDENTIALS_PATH}:`, e.message); }
+  const envEmail = process.env.LINKEDIN_EMAIL;
+  if (!creds && envEmail && process.env.LINKEDIN_PASSWORD && (key === "default" || key === sanitizeUserId(envEmail))) {
+    creds = { email: envEmail, password: process.env.LINKEDIN_PASSWORD, totpSecret: process.env.LINKEDIN_TOTP_SECRET };
+  }
+  if (!creds) return null;
+  if (typeof creds.email !== "string" || typeof creds.password !== "string" || !creds.email || !creds.password) {
+    log.error("login", `credentials for ${userId} need an email and a password`);
+    return null;
+  }
+  const totpSecret = creds.totpSecret ? String(creds.totpSecret).replace(/\s+/g, "").toUpperCase() : null;
+  redact(creds.password, totpSecret);
+  const out = { email: creds.email, password: creds.password, totpSecret };
+  if (rejectedCredentials.get(key) === credentialFingerprint(out)) {
+    log.warn("login", `credentials for ${userId} were rejected before; skipping automated login until they change`);
+    return null;
+  }
+  return out;
+}
+
+// Current code for a base32 secret; waits for the next window when this one is about to expire
+async function totpCode(secret) {
+  if (authenticator.timeRemaining() < 5) await sleep((authenticator.timeRemaining() + 1) * 1000);
+  return authenticator.generate(secret);
+}
+
+// Where a login attempt stands: "ok" | "wrong_password" | "totp" | "checkpoint" | null (still loading)
+async function loginState(page) {
+  const url = page.url() || "";
+  if (/\/checkpoint\/|\/challenge/i.test(url)) {
+    const locale = await detectPageLocale(page);
+    const body = await page.locator("body").innerText().catch(() => "");
+    const pin = await firstVisible(page, "totpInput", 300);
+    return pin && (selectors.hasLabel(locale, "authenticatorApp", body) || selectors.hasLabel("en", "authenticatorApp", body)) ? "totp" : "checkpoint";
+  }
+  const error = await firstVisible(page, "loginError", 300);
+  if (error && (await error.first().innerText().catch(() => "")).trim()) { selectors.match(error); return "wrong_password"; }
+  if (/linkedin\.com\/feed\/?/i.test(url) && !(await isAuthWalledOrGuest(page))) return "ok";
+  return null;
+}
+async function waitForLoginState(page, timeoutMs = LOGIN_TIMEOUT_MS) {
+  const deadline = now() + timeoutMs;
+  do {
+    const state = await loginState(page);
+    if (state) return state;
+    await sleep(500);
+  } while (now() < deadline);
+  return null;
+}
+
+// Fills /login (and the authenticator-app challenge) → { ok } | { ok: false, reason }
+// reason: wrong_password | checkpoint | totp_required | totp_rejected | login_form_missing | login_timeout
+async function credentialLogin(page, userId, creds) {
+  log.info("nav", "→ login: https://www.linkedin.com/login (credentials)");
+  await page.goto("https://www.linkedin.com/login", { waitUntil: "domcontentloaded", timeout: NAV_TIMEOUT_MS }).catch(() => {});
+  await detectPageLocale(page);
+  const email = await firstVisible(page, "loginEmail", 5000);
+  const password = await firstVisible(page, "loginPassword", 2000);
+  if (!email || !password) return { ok: false, reason: "login_form_missing" };
+  selectors.match(email); selectors.match(password);
+  await email.first().fill(creds.email, { timeout: 4000 });
+  await microDelay();
+  await password.first().fill(creds.password, { timeout: 4000 });
+  await microDelay();
+  const submit = await firstVisible(page, "loginSubmit", 2000);
+  if (submit) { selectors.match(submit); await submit.first().click({ timeout: 4000 }); }
+  else await password.first().press("Enter");
+
+  let state = await waitForLoginState(page);
+  if (state === "totp") {
+    if (!creds.totpSecret) return { ok: false, reason: "totp_required" };
+    const pin = await firstVisible(page, "totpInput", 2000);
+    selectors.match(pin);
+    await pin.first().fill(await totpCode(creds.totpSecret), { timeout: 4000 });
+    await microDelay();
+    const confirm = await firstVisible(page, "totpSubmit", 2000);
+    if (confirm) { selectors.match(confirm); await confirm.first().click({ timeout: 4000 }); }
+    else await pin.first().press("Enter");
+    await page.waitForURL((u) => !/\/checkpoint\/|\/challenge/i.test(String(u)), { timeout: LOGIN_TIMEOUT_MS }).catch(() => {});
+    state = await waitForLoginState(page, 5000);
+    if (state === "totp") return { ok: false, reason: "totp_rejected" };
+  }
+  if (state === "ok") return { ok: true };
+  if (state === "wrong_password") {
+    rejectedCredentials.set(sanitizeUserId(userId), credentialFingerprint(creds));
+    return { ok: false, reason: "wrong_password" };
+  }
+  return { ok: false, reason: state || "login_timeout" };
 }
 
 // ---------- Auth ensure ----------
-async function ensureAuthenticated(context, page, userStatePath) {
+async function ensureAuthenticated(context, page, userStatePath, userId = "default") {
   try {
     const r1 = await page.goto("https://www.linkedin.com/feed/", { waitUntil: "domcontentloaded", timeout: NAV_TIMEOUT_MS });
     const s1 = r1 ? r1.status() : null;
-    console.log(`[nav] ✓ feed-desktop: status=${s1} final=${page.url()}`);
+    log.info("nav", `✓ feed-desktop: status=${s1} final=${page.url()}`);
     if (s1 && s1 >= 200 && s1 < 400 && !(await isAuthWalledOrGuest(page))) {
       await saveStorageState(context, userStatePath || DEFAULT_STATE_PATH);
       return { ok: true, via: "desktop", url: page.url() };
     }
-  } catch (e) { console.log("[nav] feed-desktop error:", e?.message || e); }
+  } catch (e) { log.warn("nav", "feed-desktop error:", e?.message || e); }
   try {
     const r2 = await page.goto("https://m.linkedin.com/feed/", { waitUntil: "domcontentloaded", timeout: NAV_TIMEOUT_MS });
     const s2 = r2 ? r2.status() : null;
-    console.log(`[nav] ✓ feed-mobile: status=${s2} final=${page.url()}`);
+    log.info("nav", `✓ feed-mobile: status=${s2} final=${page.url()}`);
     if (s2 && s2 >= 200 && s2 < 400 && !(await isAuthWalledOrGuest(page))) {
       await saveStorageState(context, userStatePath || DEFAULT_STATE_PATH);
       return { ok: true, via: "mobile", url: page.url() };
     }
-  } catch (e) { console.log("[nav] feed-mobile error:", e?.message || e); }
+  } catch (e) { log.warn("nav", "feed-mobile error:", e?.message || e); }
+  const creds = AUTO_LOGIN ? credentialsFor(userId) : null;
+  if (creds) {
+    const login = await credentialLogin(page, userId, creds).catch((e) => ({ ok: false, reason: `login_error: ${e?.message || e}` }));
+    if (login.ok) {
+      log.info("login", `${userId}: signed in with stored credentials`);
+      await saveStorageState(context, userStatePath || DEFAULT_STATE_PATH);
+      return { ok: true, via: "credentials", url: page.url() };
+    }
+    log.warn("login", `${userId}: automated login failed (${login.reason})`);
+    // Only a checkpoint is something a human in noVNC can still clear; the rest is final for this attempt
+    if (login.reason !== "checkpoint" || !ALLOW_INTERACTIVE_LOGIN) return { ok: false, reason: login.reason, url: page.url() };
+    log.info("login", `${userId}: waiting for the checkpoint to be cleared interactively`);
+  }
   if (!ALLOW_INTERACTIVE_LOGIN) return { ok: false, reason: "guest_or_authwall", url: page.url() };
-  try {
-    console.log("[nav] → login: https://www.linkedin.com/login");
-    const r = await page.goto("https://www.linkedin.com/login", { waitUntil: "domcontentloaded", timeout: NAV_TIMEOUT_MS });
-    console.log(`[nav] ✓ login: status=${r ? r.status() : "n/a"} final=${page.url()}`);
-  } catch {}
+  // After a credential login the page already sits on its checkpoint; otherwise open /login for the human
+  if (!creds) {
+    try {
+      log.info("nav", "→ login: https://www.linkedin.com/login");
+      const r = await page.goto("https://www.linkedin.com/login", { waitUntil: "domcontentloaded", timeout: NAV_TIMEOUT_MS });
+      log.info("nav", `✓ login: status=${r ? r.status() : "n/a"} final=${page.url()}`);
+    } catch {}
+  }
   const deadline = Date.now() + INTERACTIVE_LOGIN_TIMEOUT_MS;
   while (Date.now() < deadline) {
     await sleep(1500);
@@ -280,22 +1423,129 @@ async function ensureAuthenticated(context, page, userStatePath) {
   return { ok: false, reason: "interactive_timeout", url: page.url() };
 }
 
+// ---------- Account auth status ----------
+// "ok" | "auth_required" per account, persisted to STATE_DIR/auth/<user>.json and reported to the API
+// (POST /accounts/:userId/auth-status) whenever it changes, so the backend can stop dispatching to an
+// account whose session is gone. Accounts show up here the first time a session is opened for them.
+class AccountAuthStatus {
+  constructor(dir = path.join(STATE_DIR, "auth")) { this.dir = dir; this.state = new Map(); }
+  _file(key) { return path.join(this.dir, `${key}.json`); }
+  get(userId) {
+    const key = sanitizeUserId(userId);
+    if (!this.state.has(key)) {
+      let entry = null;
+      try { entry = JSON.parse(fs.readFileSync(this._file(key), "utf8")); } catch {}
+      this.state.set(key, entry?.userId ? entry : { userId: userId || "default", status: "unknown", reported: true });
+    }
+    return this.state.get(key);
+  }
+  // Every account this worker has seen, including those from earlier runs
+  list() {
+    let files = [];
+    try { files = fs.readdirSync(this.dir).filter((f) => f.endsWith(".json")); } catch {}
+    for (const f of files) {
+      try { this.get(JSON.parse(fs.readFileSync(path.join(this.dir, f), "utf8")).userId); } catch {}
+    }
+    return [...this.state.values()].filter((e) => e.status !== "unknown");
+  }
+  _save(entry) {
+    const file = this._file(sanitizeUserId(entry.userId));
+    try {
+      fs.mkdirSync(this.dir, { recursive: true });
+      fs.writeFileSync(`${file}.tmp`, JSON.stringify(entry));
+      fs.renameSync(`${file}.tmp`, file);
+    } catch (e) { log.warn("auth", "status save failed:", e?.message || e); }
+  }
+  _set(userId, status, fields) {
+    const entry = this.get(userId);
+    const changed = entry.status !== status;
+    Object.assign(entry, { status, ...fields }, changed && { since: now(), reported: false });
+    this._save(entry);
+    if (changed) {
+      mAuthStatus.inc({ status });
+      (status === "ok" ? log.info : log.warn)("auth", `${entry.userId}: ${status === "ok" ? "signed in again" : `needs to sign in again (${fields.reason})`}`);
+    }
+    return this.report(entry);
+  }
+  required(userId, reason, { expiresAt = null } = {}) { return this._set(userId, "auth_required", { reason, expiresAt }); }
+  ok(userId, via = null) { return this._set(userId, "ok", { reason: null, via }); }
+  // Sends the current status unless the API already has it; a failed report is retried by revalidateSessions
+  async report(entry) {
+    if (entry.reported) return;
+    const body = { status: entry.status === "ok" ? "AUTHENTICATED" : "AUTH_REQUIRED", reason: entry.reason || null, expiresAt: entry.expiresAt ? new Date(entry.expiresAt).toISOString() : null, since: new Date(entry.since).toISOString() };
+    try {
+      await apiPost(`/accounts/${encodeURIComponent(entry.userId)}/auth-status`, body, { retries: API_RETRIES });
+      entry.reported = true;
+      this._save(entry);
+    } catch (e) { logFetchError(`accounts/${entry.userId}/auth-status`, e); }
+  }
+}
+const accountAuth = new AccountAuthStatus();
+
+// Expiry of the LinkedIn session cookie (li_at) in a storageState → { status, expiresAt }.
+// "unknown" when there is no li_at to judge by; a browser-session cookie (expires -1) counts as "ok".
+function sessionCookieStatus(state, at = now()) {
+  const cookie = (state?.cookies || []).find((c) => c.name === "li_at" && /linkedin\.com$/i.test(c.domain || ""));
+  if (!cookie) return { status: "unknown", expiresAt: null };
+  if (!(cookie.expires > 0)) return { status: "ok", expiresAt: null };
+  const expiresAt = Math.round(cookie.expires * 1000);
+  if (expiresAt <= at) return { status: "expired", expiresAt };
+  return { status: expiresAt - at <= SESSION_EXPIRY_WARN_MS ? "expiring" : "ok", expiresAt };
+}
+function storedSessionStatus(userId) {
+  const file = storedStateFile(statePathForUser(userId));
+  return file ? sessionCookieStatus(readStateFile(file)) : { status: "unknown", expiresAt: null };
+}
+
+// Deferral for a SEND job whose account has to sign in again, checking the stored cookie on the way.
+// Stored credentials sign in unattended, so accounts that have them are never held back.
+function authDeferral(userId) {
+  let entry = accountAuth.get(userId);
+  if (entry.status !== "auth_required" && !sessions.sessions.has(sanitizeUserId(userId))) {
+    let stored = { status: "unknown" };
+    try { stored = storedSessionStatus(userId); } catch {} // key problems surface when the job opens its session
+    if (stored.status === "expired") {
+      accountAuth.required(userId, `session cookie expired ${new Date(stored.expiresAt).toISOString()}`, stored).catch(() => {});
+    }
+  }
+  if (entry.status !== "auth_required" || (AUTO_LOGIN && credentialsFor(userId))) return null;
+  return { delayMs: AUTH_DEFER_MS, reason: `account needs to sign in again (${entry.reason})` };
+}
+
+// One pass over every known account: idle pooled sessions get a live feed check, the others have their
+// stored cookie inspected. Accounts with a job running are left alone.
+const revalidating = new Map(); // account key → userId, excluded from claiming while checked
+async function revalidateSessions() {
+  for (const entry of accountAuth.list()) {
+    const { userId } = entry;
+    const key = sanitizeUserId(userId);
+    if (shuttingDown || activeJobs.has(key)) continue;
+    revalidating.set(key, userId);
+    try {
+      const live = await sessions.revalidate(userId);
+      if (live === true) { await accountAuth.ok(userId, "background"); continue; }
+      if (live === false) { await accountAuth.required(userId, "signed out (background check)"); continue; }
+      const stored = storedSessionStatus(userId);
+      if (stored.status === "expired") await accountAuth.required(userId, `session cookie expired ${new Date(stored.expiresAt).toISOString()}`, stored);
+      else if (stored.status === "expiring") log.warn("auth", `${userId}: session cookie expires ${new Date(stored.expiresAt).toISOString()}`);
+      await accountAuth.report(entry);
+    } catch (e) {
+      log.warn("auth", `session check for ${userId} failed:`, e?.message || e);
+    } finally { revalidating.delete(key); }
+  }
+}
+
 // ---------- Relationship helpers ----------
 async function getConnectionDegree(page) {
   try {
-    const cands = [
-      page.getByText(/^1st\b/i).first(),
-      page.getByText(/^2nd\b/i).first(),
-      page.getByText(/^3rd\b/i).first(),
-      page.locator('[data-test-connection-badge]').first(),
-    ];
-    for (const l of cands) {
+    const locale = await detectPageLocale(page);
+    for (const c of sel(page, "degreeBadge")) {
+      const l = c.first();
       const vis = await l.isVisible({ timeout: 800 }).catch(() => false);
       if (!vis) continue;
       const t = (await l.innerText().catch(()=>"")).trim();
-      if (/^1st\b/i.test(t)) return "1st";
-      if (/^2nd\b/i.test(t)) return "2nd";
-      if (/^3rd\b/i.test(t)) return "3rd";
+      const degree = ["1st", "2nd", "3rd"].find((d, i) => selectors.startsWithLabel(locale, `degree${i + 1}`, t));
+      if (degree) { selectors.match(c); return degree; }
     }
   } catch {}
   return null;
@@ -304,46 +1554,26 @@ async function getConnectionDegree(page) {
 // Broadened InMail/Open Profile recognition
 async function looksLikeInMailOrOpenProfile(page) {
   try {
-    const hasMessage = await anyVisible(
-      page.getByRole("button", { name: /(^|\s)Message(\s|$)/i }),
-      page.getByRole("link",   { name: /(^|\s)Message(\s|$)/i }),
-      page.locator('button[aria-label^="Message"]'),
-      page.locator('a[aria-label^="Message"]'),
-      page.locator('button:has(span.artdeco-button__text:has-text("Message"))'),
-      page.locator('a:has(span.artdeco-button__text:has-text("Message"))'),
-      page.locator('button[aria-label="Message"]'),
-      page.locator('a[data-control-name*="message"]'),
-      page.locator('button:has-text("Message")'),
-    );
-    const hasConnect = await anyVisible(
-      page.getByRole("button", { name: /^Connect$/i }),
-      page.locator('button[aria-label="Connect"]'),
-      page.locator('button[data-control-name="connect"]'),
-      page.locator('button:has-text("Connect")')
-    );
-    const inmailText = await page.getByText(/InMail/i).first().isVisible({ timeout: 600 }).catch(() => false);
-    const openText = await page.getByText(/Open Profile|Open to messages/i).first().isVisible({ timeout: 600 }).catch(() => false);
-    return (inmailText || openText) && !hasConnect && hasMessage;
+    await detectPageLocale(page);
+    const hasMessage = await anyVisible(sel(page, "messageButton"));
+    const hasConnect = await anyVisible(sel(page, "connectPresence"));
+    const paidHint = await anyVisible(sel(page, "paidMessagingHint"));
+    return paidHint && !hasConnect && hasMessage;
   } catch {}
   return false;
 }
 
 // ORIGINAL-ish: conservative detector (keeps connect flow untouched)
 async function detectRelationshipStatus(page) {
+  await detectPageLocale(page);
   // Pending?
-  const pending = await anyVisible( page.getByRole("button", { name: /Pending|Requested|Withdraw|Pending invitation/i }) );
+  const pending = await anyVisible(sel(page, "pendingButton"));
   if (pending) return { status: "pending", reason: "Pending/Requested visible" };
 
   // Degree badge = connected
   const degree = await getConnectionDegree(page);
-  const messageBtn = await anyVisible(
-    page.getByRole("button", { name: /^Message$/i }),
-    page.getByRole("link",   { name: /^Message$/i })
-  );
-  const connectBtn = await anyVisible(
-    page.getByRole("button", { name: /^Connect$/i }),
-    page.locator('button:has-text("Connect")')
-  );
+  const messageBtn = await anyVisible(sel(page, "messageButtonExact"));
+  const connectBtn = await anyVisible(sel(page, "connectPresence"));
 
   if (degree === "1st") return { status: "connected", reason: 'Degree badge "1st"' };
 
@@ -356,10 +1586,7 @@ async function detectRelationshipStatus(page) {
 
   if (connectBtn) return { status: "not_connected", reason: "Connect button visible" };
 
-  const moreVisible = await anyVisible(
-    page.getByRole("button", { name: /^More$/i }),
-    page.getByRole("button", { name: /More actions/i })
-  );
+  const moreVisible = await anyVisible(sel(page, "moreButton"));
   if (moreVisible) return { status: "not_connected", reason: "Connect may be under More" };
 
   return { status: "not_connected", reason: "Unable to confirm; will try menus" };
@@ -377,7 +1604,7 @@ async function gotoStable(page, url, timeout = NAV_TIMEOUT_MS) {
   try {
     resp = await page.goto(url, { waitUntil: "commit", timeout });
   } catch (e) {
-    console.log(`[nav] goto(commit) error for ${url}:`, e?.message || e);
+    log.info("nav", `goto(commit) error for ${url}:`, e?.message || e);
   }
   await page.waitForLoadState("domcontentloaded", { timeout: Math.min(10000, timeout) }).catch(()=>{});
   await waitFullLoad(page, Math.min(timeout, 15000));
@@ -398,11 +1625,11 @@ async function navigateProfileClean(page, rawUrl) {
     const hostUrl = hostOrder[hostIdx];
     for (const cand of profileVariants(hostUrl)) {
       try {
-        console.log(`[nav] → profile try: ${cand}`);
+        log.info("nav", `→ profile try: ${cand}`);
         const resp = await gotoStable(page, cand, NAV_TIMEOUT_MS);
         const status = resp ? resp.status() : null;
         const finalUrl = page.url();
-        console.log(`[nav] final after goto: ${finalUrl}`);
+        log.info("nav", `final after goto: ${finalUrl}`);
 
         const hard = await detectHardScreen(page);
         if (status === 429 || hard === "429") return { authed: false, status: 429, usedUrl: cand, finalUrl, error: "rate_limited" };
@@ -410,13 +1637,15 @@ async function navigateProfileClean(page, rawUrl) {
 
         // Authwall recovery once
         if (/\/authwall/i.test(finalUrl)) {
-          console.log("[nav] authwall detected → re-auth then retry once");
+          log.info("nav", "authwall detected → re-auth then retry once");
           try {
             await gotoStable(page, "https://www.linkedin.com/login", Math.min(15000, NAV_TIMEOUT_MS));
             await sleep(1200);
             await gotoStable(page, cand, NAV_TIMEOUT_MS);
+            mAuthwall.inc({ result: /\/authwall/i.test(page.url()) ? "still_walled" : "recovered" });
           } catch (e) {
-            console.log("[nav] authwall re-auth failed:", e?.message || e);
+            mAuthwall.inc({ result: "error" });
+            log.warn("nav", "authwall re-auth failed:", e?.message || e);
           }
         }
 
@@ -427,7 +1656,7 @@ async function navigateProfileClean(page, rawUrl) {
 
         // If bounced to feed, treat as soft fail and continue trying variants
         if (isFeedUrl(final2)) {
-          console.log("[nav] bounced to feed; will try another profile variant/host");
+          log.info("nav", "bounced to feed; will try another profile variant/host");
           continue;
         }
 
@@ -438,7 +1667,7 @@ async function navigateProfileClean(page, rawUrl) {
 
         // Not profile? Try next candidate.
       } catch (e) {
-        console.log("[nav] profile try error:", e?.message || e);
+        log.warn("nav", "profile try error:", e?.message || e);
       }
     }
   }
@@ -448,50 +1677,40 @@ async function navigateProfileClean(page, rawUrl) {
 // ---------- Open Connect (button-only + misclick recovery) ----------
 async function openConnectDialog(page) {
   try { await page.evaluate(() => window.scrollTo(0, 0)); } catch {}
+  const locale = await detectPageLocale(page);
   await microDelay();
   // 1) More → Connect
-  const more = [
-    page.getByRole("button", { name: /^More$/i }),
-    page.getByRole("button", { name: /More actions/i }),
-    page.locator('button[aria-label="More actions"]'),
-  ];
-  for (const m of more) {
+  for (const m of sel(page, "moreButton")) {
     try {
       const handle = m.first();
       if (await handle.isVisible({ timeout: 1200 }).catch(() => false)) {
         await sprout('open-more');
         const beforeUrl = page.url();
         await handle.click({ timeout: 4000 });
+        selectors.match(m);
         await microDelay();
         if (page.url() !== beforeUrl && /\/search\/results\/people/i.test(page.url())) {
-          console.log("[guard] misclick → people search from More; going back");
+          log.info("guard", "misclick → people search from More; going back");
           await page.goBack({ waitUntil: "domcontentloaded", timeout: NAV_TIMEOUT_MS }).catch(()=>{});
           await microDelay();
         }
-        const candidates = [
-          page.getByRole("menuitem", { name: /^Connect$/i }).first(),
-          page.locator('div[role="menuitem"]').filter({ hasText: /^\s*Connect\s*$/i }).first(),
-          page.locator('span,div').filter({ hasText: /^\s*Connect\s*$/i }).locator('xpath=ancestor-or-self::*[@role="menuitem"]').first(),
-        ];
-        for (const item of candidates) {
+        for (const c of sel(page, "connectMenuItem")) {
           try {
+            const item = c.first();
             if (await item.isVisible({ timeout: 1200 }).catch(() => false)) {
               const t = (await item.innerText().catch(()=>"")).trim();
-              if (/Sales\s*Navigator|View in Sales/i.test(t)) continue;
+              if (selectors.matchesText("salesNavigatorText", t, locale)) continue;
               await sprout('click-connect-menu');
               const beforeMenuUrl = page.url();
               await item.click({ timeout: 4000 });
+              selectors.match(c);
               await microDelay();
               if (page.url() !== beforeMenuUrl && /\/search\/results\/people/i.test(page.url())) {
-                console.log("[guard] misclick → people search from menu; going back");
+                log.info("guard", "misclick → people search from menu; going back");
                 await page.goBack({ waitUntil: "domcontentloaded", timeout: NAV_TIMEOUT_MS }).catch(()=>{});
                 await microDelay();
               }
-              const ready = await Promise.race([
-                page.getByRole("dialog").waitFor({ timeout: 3500 }).then(() => true).catch(() => false),
-                page.getByRole("button", { name: /^Add a note$/i }).waitFor({ timeout: 3500 }).then(() => true).catch(() => false),
-                page.getByRole("button", { name: /^Send$/i }).waitFor({ timeout: 3500 }).then(() => true).catch(() => false),
-              ]);
+              const ready = await waitForAny(page, "connectDialogReady", 3500);
               if (ready) return { opened: true, via: "more_menu" };
             }
           } catch {}
@@ -500,13 +1719,7 @@ async function openConnectDialog(page) {
     } catch {}
   }
   // 2) Primary "Connect" button
-  const direct = [
-    page.getByRole("button", { name: "Connect" }),
-    page.locator('button[aria-label="Connect"]'),
-    page.locator('button[data-control-name="connect"]'),
-    page.locator('button').filter({ hasText: /^\s*Connect\s*$/i }),
-  ];
-  for (const h of direct) {
+  for (const h of sel(page, "connectButton")) {
     try {
       const cand = h.first();
       if (!(await cand.isVisible({ timeout: 1200 }).catch(() => false))) continue;
@@ -515,165 +1728,212 @@ async function openConnectDialog(page) {
       await sprout('connect-primary');
       const beforeUrl = page.url();
       await cand.click({ timeout: 4000 });
+      selectors.match(h);
       await microDelay();
       if (page.url() !== beforeUrl && /\/search\/results\/people/i.test(page.url())) {
-        console.log("[guard] misclick → people search; going back");
+        log.info("guard", "misclick → people search; going back");
         await page.goBack({ waitUntil: "domcontentloaded", timeout: NAV_TIMEOUT_MS }).catch(()=>{});
         await microDelay();
       }
-      const ready = await Promise.race([
-        page.getByRole("dialog").waitFor({ timeout: 3500 }).then(() => true).catch(() => false),
-        page.getByRole("button", { name: /^Add a note$/i }).waitFor({ timeout: 3500 }).then(() => true).catch(() => false),
-        page.getByRole("button", { name: /^Send$/i }).waitFor({ timeout: 3500 }).then(() => true).catch(() => false),
-      ]);
+      const ready = await waitForAny(page, "connectDialogReady", 3500);
       if (ready) return { opened: true, via: "primary" };
     } catch {}
   }
   // 3) Mobile fallback
   try {
-    const mobileConnect = page.getByRole("button", { name: "Connect" }).first();
-    if (await mobileConnect.isVisible({ timeout: 1200 }).catch(() => false)) {
+    const mobileConnect = await firstVisible(page, "connectButtonMobile");
+    if (mobileConnect) {
       await sprout('mobile-connect');
       const beforeUrl = page.url();
-      await mobileConnect.click({ timeout: 4000 });
+      await mobileConnect.first().click({ timeout: 4000 });
+      selectors.match(mobileConnect);
       await microDelay();
       if (page.url() !== beforeUrl && /\/search\/results\/people/i.test(page.url())) {
-        console.log("[guard] misclick → people search (mobile); going back");
+        log.info("guard", "misclick → people search (mobile); going back");
         await page.goBack({ waitUntil: "domcontentloaded", timeout: NAV_TIMEOUT_MS }).catch(()=>{});
         await microDelay();
       }
-      const ready = await Promise.race([
-        page.getByRole("dialog").waitFor({ timeout: 3500 }).then(() => true).catch(() => false),
-        page.getByRole("button", { name: /^Add a note$/i }).waitFor({ timeout: 3500 }).then(() => true).catch(() => false),
-        page.getByRole("button", { name: /^Send$/i }).waitFor({ timeout: 3500 }).then(() => true).catch(() => false),
-      ]);
+      const ready = await waitForAny(page, "connectDialogReady", 3500);
       if (ready) return { opened: true, via: "mobile_primary" };
     }
   } catch {}
   return { opened: false };
 }
 
-// ---------- Complete Connect (forced no note) ----------
+// ---------- Complete Connect (optional note) ----------
+// Clicks "Add a note" and fills the note field. { ok } or { ok: false, reason, dismiss } where dismiss
+// means the invite dialog was replaced (upsell, note view) and has to be closed and reopened.
+async function addInviteNote(page, text) {
+  const addNote = await firstVisible(page, "addNoteButton", 1500);
+  if (!addNote) return { ok: false, reason: "note_unavailable", dismiss: false };
+  await sprout('add-note');
+  await addNote.first().click({ timeout: 4000 });
+  selectors.match(addNote);
+  await microDelay();
+  const field = await Promise.any([
+    waitForAny(page, "noteField", 3500).then((l) => l || Promise.reject()),
+    waitForAny(page, "noteQuotaNotice", 3500).then((l) => (l ? "quota" : Promise.reject())),
+  ]).catch(() => null);
+  if (field === "quota") return { ok: false, reason: "note_quota_exhausted", dismiss: true };
+  if (!field) return { ok: false, reason: "note_unavailable", dismiss: true };
+
+  const input = field.first();
+  const maxLength = parseInt(await input.getAttribute("maxlength").catch(() => null), 10);
+  const limit = Math.min(NOTE_MAX_CHARS, maxLength > 0 ? maxLength : Infinity);
+  if (text.length > limit) return { ok: false, reason: `note_too_long (${text.length}/${limit})`, dismiss: true };
+  await input.click({ timeout: 3000 }).catch(() => {});
+  await input.fill(text, { timeout: 4000 });
+  const typed = await input.inputValue().catch(() => "");
+  if (typed !== text) return { ok: false, reason: "note_not_typed", dismiss: true };
+  return { ok: true };
+}
+
 async function completeConnectDialog(page, note) {
-  const noteToUse = null; // force no notes
-  const sendCandidates = [
-    page.getByRole("button", { name: /^Send$/i }),
-    page.locator('button[aria-label="Send now"]'),
-    page.locator('button:has-text("Send")'),
-  ];
-  for (const s of sendCandidates) {
+  await detectPageLocale(page);
+  const requested = String(note || "").trim();
+  const noteText = FORCE_NO_NOTES ? "" : requested;
+  let noteSkipped = FORCE_NO_NOTES && requested ? "notes_disabled" : null;
+  const done = (sent, withNote, extra) => ({ sent, withNote, ...(noteSkipped && { noteSkipped: true, noteSkippedReason: noteSkipped }), ...extra });
+  // Rehearsal stops here: note the Send control, then back out of the dialog without inviting
+  const rehearse = async (groups, withNote) => {
+    const control = await findSendControl(page, groups);
+    await closeDialog(page);
+    return done(false, withNote, { rehearsal: { wouldSend: withNote ? "invite_with_note" : "invite_without_note", control } });
+  };
+  if (noteText) {
+    const added = await addInviteNote(page, noteText);
+    if (added.ok) {
+      if (rehearsing()) return rehearse(["inviteSendButton"], true);
+      const sent = await clickInviteSend(page);
+      return done(sent, sent);
+    }
+    noteSkipped = added.reason;
+    log.info("connect", `note not added (${noteSkipped}); falling back to a plain invite`);
+    if (added.dismiss) {
+      await closeDialog(page);
+      const reopened = await openConnectDialog(page);
+      if (!reopened.opened) return done(false, false);
+    }
+  }
+
+  if (rehearsing()) return rehearse(["inviteSendButton", "inviteSendWithoutNote"], false);
+  if (await clickInviteSend(page)) return done(true, false);
+  try {
+    const sendWithout = await firstVisible(page, "inviteSendWithoutNote");
+    if (sendWithout) {
+      await sprout('send-without-note');
+      markSendClicked();
+      await sendWithout.first().click({ timeout: 4000 });
+      selectors.match(sendWithout);
+      await microDelay();
+      const closed = await page.getByRole("dialog").waitFor({ state: "detached", timeout: 5000 }).then(() => true).catch(() => false);
+      if (closed) return done(true, false);
+    }
+  } catch {}
+  return done(false, false);
+}
+
+async function closeDialog(page) {
+  await page.keyboard.press("Escape").catch(() => {});
+  await page.getByRole("dialog").waitFor({ state: "detached", timeout: 3000 }).catch(() => {});
+}
+
+async function clickInviteSend(page) {
+  for (const s of sel(page, "inviteSendButton")) {
     try {
       const handle = s.first();
       if (await handle.isVisible({ timeout: 1500 }).catch(() => false)) {
         await sprout('send-invite');
+        markSendClicked();
         await handle.click({ timeout: 4000 });
+        selectors.match(s);
         await microDelay();
         const closed = await Promise.race([
           page.getByRole("dialog").waitFor({ state: "detached", timeout: 5000 }).then(() => true).catch(() => false),
-          page.locator('div:has-text("Invitation sent")').waitFor({ timeout: 5000 }).then(() => true).catch(() => false),
+          waitForAny(page, "inviteSentToast", 5000).then(Boolean),
         ]);
-        if (closed) return { sent: true, withNote: false };
+        if (closed) return true;
       }
     } catch {}
   }
-  try {
-    const sendWithout = page.locator('button:has-text("Send without a note")').first();
-    if (await sendWithout.isVisible({ timeout: 1200 }).catch(() => false)) {
-      await sprout('send-without-note');
-      await sendWithout.click({ timeout: 4000 });
-      await microDelay();
-      const closed = await page.getByRole("dialog").waitFor({ state: "detached", timeout: 5000 }).then(() => true).catch(() => false);
-      if (closed) return { sent: true, withNote: false };
-    }
-  } catch {}
-  return { sent: false, withNote: false };
+  return false;
 }
 
 // ---------- Connection flow (UNCHANGED) ----------
+// A rehearsal that found its Send control succeeded; one that did not is a broken selector like in a real run
+function rehearsalOutcome({ wouldSend, control }, relationshipStatus, extra = {}) {
+  const what = wouldSend.replace(/_/g, " ");
+  if (!control) return { outcome: "selector_broken", actionTaken: "rehearsed", relationshipStatus, wouldSend, sendControl: null, details: `Rehearsal: no Send control found for ${what}`, ...extra };
+  return { outcome: "success", actionTaken: "rehearsed", relationshipStatus, wouldSend, sendControl: control, details: `Rehearsal: would send ${what} via ${control.group}/${control.id}`, ...extra };
+}
+
 async function sendConnectionRequest(page, note) {
   const rs1 = await detectRelationshipStatus(page);
-  if (rs1.status === "connected") return { actionTaken: "none", relationshipStatus: "connected", details: "Already 1st-degree" };
-  if (rs1.status === "pending")   return { actionTaken: "none", relationshipStatus: "pending", details: "Invitation already pending" };
+  if (rs1.status === "connected") return { outcome: "success", actionTaken: "none", relationshipStatus: "connected", details: "Already 1st-degree" };
+  if (rs1.status === "pending")   return { outcome: "success", actionTaken: "none", relationshipStatus: "pending", details: "Invitation already pending" };
 
   let opened = await openConnectDialog(page);
   if (!opened.opened) {
     try { await page.mouse.wheel(0, within(600, 1000)); await sleep(within(600, 1000)); } catch {}
     opened = await openConnectDialog(page);
-    if (!opened.opened) return { actionTaken: "unavailable", relationshipStatus: "not_connected", details: "Connect button not found" };
+    if (!opened.opened) return { outcome: "selector_broken", actionTaken: "unavailable", relationshipStatus: "not_connected", details: "Connect button not found" };
   }
 
-  const completed = await completeConnectDialog(page, null);
-  if (completed.sent) return { actionTaken: "sent_without_note", relationshipStatus: "pending", details: "Invitation sent" };
+  const completed = await completeConnectDialog(page, note);
+  const noteInfo = { withNote: completed.withNote, ...(completed.noteSkipped && { noteSkipped: true, noteSkippedReason: completed.noteSkippedReason }) };
+  if (completed.rehearsal) return rehearsalOutcome(completed.rehearsal, rs1.status, noteInfo);
+  if (completed.sent) {
+    return { outcome: "success", actionTaken: completed.withNote ? "sent_with_note" : "sent_without_note", relationshipStatus: "pending", details: completed.withNote ? "Invitation sent with note" : "Invitation sent", ...noteInfo };
+  }
 
+  // Unconfirmed send: a note may or may not have gone out, so withNote stays false
   const rs2 = await detectRelationshipStatus(page);
-  if (rs2.status === "pending")   return { actionTaken: "sent_maybe", relationshipStatus: "pending", details: "Pending after dialog" };
-  if (rs2.status === "connected") return { actionTaken: "none", relationshipStatus: "connected", details: "Connected" };
+  if (rs2.status === "pending")   return { outcome: "success", actionTaken: "sent_maybe", relationshipStatus: "pending", details: "Pending after dialog", ...noteInfo };
+  if (rs2.status === "connected") return { outcome: "success", actionTaken: "none", relationshipStatus: "connected", details: "Connected" };
 
-  return { actionTaken: "failed_to_send", relationshipStatus: "not_connected", details: "Unable to send invite" };
+  // Once an invite Send was clicked a retry could invite twice
+  if (sendClicked()) return { outcome: "unconfirmed", actionTaken: "failed_to_send", relationshipStatus: "not_connected", details: "Invite Send clicked but not confirmed", ...noteInfo };
+  return { outcome: "transient", actionTaken: "failed_to_send", relationshipStatus: "not_connected", details: "Unable to send invite", ...noteInfo };
 }
 
 // ---------- Message Flow ----------
 async function openMessageDialog(page) {
   try { await page.evaluate(() => window.scrollTo(0, 0)); } catch {}
+  await detectPageLocale(page);
   await microDelay();
 
   // broadened "Message" selectors (supports aria-label="Message <Name>")
-  const direct = [
-    page.getByRole("button", { name: /(^|\s)Message(\s|$)/i }),
-    page.getByRole("link",   { name: /(^|\s)Message(\s|$)/i }),
-    page.locator('button[aria-label^="Message"]'),
-    page.locator('a[aria-label^="Message"]'),
-    page.locator('button:has(span.artdeco-button__text:has-text("Message"))'),
-    page.locator('a:has(span.artdeco-button__text:has-text("Message"))'),
-    page.locator('button[aria-label="Message"]'),
-    page.locator('a[data-control-name*="message"]'),
-    page.locator('button:has-text("Message")'),
-  ];
-  for (const h of direct) {
+  for (const h of sel(page, "messageButton")) {
     try {
       const handle = h.first();
       if (await handle.isVisible({ timeout: 1200 }).catch(() => false)) {
         await sprout('open-message');
         await handle.click({ timeout: 4000 });
+        selectors.match(h);
         await microDelay();
-        const ready = await Promise.race([
-          page.getByRole("dialog").waitFor({ timeout: 5000 }).then(() => true).catch(() => false),
-          page.locator('.msg-overlay-conversation-bubble').waitFor({ timeout: 5000 }).then(() => true).catch(() => false),
-          page.locator('[data-test-conversation-compose], .msg-form__contenteditable').waitFor({ timeout: 5000 }).then(() => true).catch(() => false),
-        ]);
+        const ready = await waitForAny(page, "messageDialogReady", 5000);
         if (ready) return { opened: true, via: "primary" };
       }
     } catch {}
   }
 
   // More ▸ Message
-  const more = [
-    page.getByRole("button", { name: /^More$/i }),
-    page.getByRole("button", { name: /More actions/i }),
-    page.locator('button[aria-label="More actions"]'),
-  ];
-  for (const m of more) {
+  for (const m of sel(page, "moreButton")) {
     try {
       const handle = m.first();
       if (await handle.isVisible({ timeout: 1200 }).catch(() => false)) {
         await sprout('open-more-msg');
         await handle.click({ timeout: 4000 });
+        selectors.match(m);
         await microDelay();
-        const menuMsg = [
-          page.getByRole("menuitem", { name: /^Message$/i }).first(),
-          page.locator('div[role="menuitem"]:has-text("Message")').first(),
-          page.locator('span:has-text("Message")').locator('xpath=ancestor-or-self::*[@role="menuitem"]').first(),
-        ];
-        for (const mi of menuMsg) {
+        for (const c of sel(page, "messageMenuItem")) {
+          const mi = c.first();
           if (await mi.isVisible({ timeout: 1200 }).catch(() => false)) {
             await sprout('click-message-menu');
             await mi.click({ timeout: 4000 });
+            selectors.match(c);
             await microDelay();
-            const ready = await Promise.race([
-              page.getByRole("dialog").waitFor({ timeout: 5000 }).then(() => true).catch(() => false),
-              page.locator('.msg-overlay-conversation-bubble').waitFor({ timeout: 5000 }).then(() => true).catch(() => false),
-              page.locator('[data-test-conversation-compose], .msg-form__contenteditable').waitFor({ timeout: 5000 }).then(() => true).catch(() => false),
-            ]);
+            const ready = await waitForAny(page, "messageDialogReady", 5000);
             if (ready) return { opened: true, via: "more_menu" };
           }
         }
@@ -683,376 +1943,1191 @@ async function openMessageDialog(page) {
 
   // Mobile fallback
   try {
-    const mobileMsg = page.locator('button:has-text("Message"), a:has-text("Message")');
-    if (await mobileMsg.first().isVisible({ timeout: 1200 }).catch(() => false)) {
+    const mobileMsg = await firstVisible(page, "messageButtonMobile");
+    if (mobileMsg) {
       await sprout('mobile-message');
       await mobileMsg.first().click({ timeout: 4000 });
+      selectors.match(mobileMsg);
       await microDelay();
-      const ready = await Promise.race([
-        page.getByRole("dialog").waitFor({ timeout: 5000 }).then(() => true).catch(() => false),
-        page.locator('.msg-overlay-conversation-bubble').waitFor({ timeout: 5000 }).then(() => true).catch(() => false),
-        page.locator('[data-test-conversation-compose], .msg-form__contenteditable').waitFor({ timeout: 5000 }).then(() => true).catch(() => false),
-      ]);
+      const ready = await waitForAny(page, "messageDialogReady", 5000);
       if (ready) return { opened: true, via: "mobile_primary" };
     }
   } catch {}
   return { opened: false };
 }
 
+// Comparable composer text: NFC, no CR/nbsp/zero-width, trailing spaces and blank-line runs collapsed
+// (LinkedIn renders paragraphs as <p>, so innerText may double the newlines)
+function normalizeComposerText(str) {
+  return String(str || "").normalize("NFC").replace(/\r\n?/g, "\n").replace(/\u00a0/g, " ").replace(/[\u200b\ufeff]/g, "")
+    .replace(/[ \t]+\n/g, "\n").replace(/\n{2,}/g, "\n").trim();
+}
+
+const graphemes = new Intl.Segmenter(undefined, { granularity: "grapheme" });
+
+// Types into the focused editor line by line. Lines are joined with Shift+Enter because a bare Enter
+// can send; emoji and anything else off the keyboard (non-BMP, ZWJ sequences) go in via insertText.
+async function typeLines(page, text, { humanize }) {
+  const lines = text.split("\n");
+  for (let i = 0; i < lines.length; i++) {
+    if (i) await page.keyboard.press("Shift+Enter");
+    if (!humanize) { if (lines[i]) await page.keyboard.insertText(lines[i]); continue; }
+    for (const { segment } of graphemes.segment(lines[i])) {
+      if (/^[\x20-\x7e]$/.test(segment)) await page.keyboard.type(segment, { delay: within(5, 25) });
+      else await page.keyboard.insertText(segment);
+    }
+  }
+}
+
+async function readComposerText(handle) {
+  return handle.evaluate((el) => (el.tagName === "TEXTAREA" || el.tagName === "INPUT" ? el.value : el.innerText) || "").catch(() => null);
+}
+
+// Empties the composer (an old draft included) → true once it reads back empty. Select-all + Delete keeps
+// the editor's own state in sync; whatever survives that is removed through the DOM.
+async function clearEditor(page, handle) {
+  const tag = await handle.evaluate(el => el.tagName.toLowerCase()).catch(() => "");
+  if (tag === "textarea" || tag === "input") await handle.fill("", { timeout: 4000 }).catch(() => {});
+  else {
+    await handle.focus().catch(() => {});
+    await handle.press("ControlOrMeta+A").catch(() => {});
+    await page.keyboard.press("Delete").catch(() => {});
+    if (normalizeComposerText(await readComposerText(handle))) {
+      await handle.evaluate((el) => {
+        el.focus();
+        document.execCommand("selectAll");
+        document.execCommand("delete");
+        if (el.innerText.trim()) { el.replaceChildren(document.createElement("p")); el.dispatchEvent(new InputEvent("input", { bubbles: true })); }
+      }).catch(() => {});
+    }
+  }
+  const left = await readComposerText(handle);
+  return left !== null && normalizeComposerText(left) === "";
+}
+
+// → { ok } once the composer holds exactly `text`; { ok: false, reason: "no_editor" | "mismatch" } otherwise.
+// A mismatch is retried once with plain insertion, then the composer is cleared so nothing half-typed can be sent.
 async function typeIntoComposer(page, text) {
-  const limited = String(text).slice(0, 3000);
-  const editors = [
-    page.locator('.msg-form__contenteditable[contenteditable="true"]'),
-    page.locator('[role="textbox"][contenteditable="true"]'),
-    page.locator('div[contenteditable="true"]'),
-    page.getByRole("textbox"),
-    page.locator('textarea'),
-  ];
-  for (const ed of editors) {
+  const limited = Array.from(String(text).replace(/\r\n?/g, "\n")).slice(0, MESSAGE_MAX_CHARS).join("");
+  for (const ed of sel(page, "composerEditor")) {
     try {
       const handle = ed.first();
-      if (await handle.isVisible({ timeout: 1500 }).catch(() => false)) {
-        await handle.click({ timeout: 3000 }).catch(()=>{});
-        const tag = await handle.evaluate(el => el.tagName.toLowerCase()).catch(() => "");
-        if (tag === "textarea" || tag === "input") { await handle.fill(limited, { timeout: 4000 }); }
-        else { await handle.press("Mod+A").catch(()=>{}); await handle.type(limited, { delay: within(5, 25) }); }
-        return true;
+      if (!(await handle.isVisible({ timeout: 1500 }).catch(() => false))) continue;
+      await handle.click({ timeout: 3000 }).catch(()=>{});
+      selectors.match(ed);
+      const tag = await handle.evaluate(el => el.tagName.toLowerCase()).catch(() => "");
+      const clear = () => clearEditor(page, handle);
+      for (const humanize of [true, false]) {
+        if (tag === "textarea" || tag === "input") await handle.fill(limited, { timeout: 4000 });
+        else {
+          if (!(await clear())) { log.warn("message", "composer could not be emptied; not typing into it"); return { ok: false, reason: "mismatch" }; }
+          await typeLines(page, limited, { humanize });
+        }
+        const actual = await readComposerText(handle);
+        if (normalizeComposerText(actual) === normalizeComposerText(limited)) return { ok: true };
+        log.warn("message", `composer text mismatch after ${humanize ? "typing" : "insertText"}: expected ${limited.length} chars, found ${String(actual ?? "").length}`);
       }
+      await clear();
+      return { ok: false, reason: "mismatch" };
     } catch {}
   }
-  return false;
+  return { ok: false, reason: "no_editor" };
+}
+
+// Texts of the outgoing bubbles in the open thread, through the first candidate that finds any
+async function outgoingMessages(page) {
+  for (const s of sel(page, "outgoingMessage")) {
+    const texts = await s.allInnerTexts().catch(() => []);
+    if (texts.length) return { texts, loc: s };
+  }
+  return { texts: [], loc: null };
+}
+
+// Visible matches per candidate of `group`, so markers already on the page can be told from new ones
+async function visibleCounts(page, group) {
+  return Promise.all(sel(page, group).map((l) => l.evaluateAll((els) => els.filter((e) => e.getClientRects().length > 0).length).catch(() => 0)));
 }
 
-async function clickSendInComposer(page) {
-  const candidates = [
-    page.getByRole("button", { name: /^Send$/i }),
-    page.locator('button[aria-label="Send now"]'),
-    page.locator('button:has-text("Send")'),
-  ];
-  for (const s of candidates) {
+// What the thread looked like before Send: outgoing bubbles and error markers (older failed messages)
+async function threadBaseline(page) {
+  return { messages: (await outgoingMessages(page)).texts.length, errors: await visibleCounts(page, "messageErrorToast") };
+}
+
+// After Send: "sent" once the latest outgoing bubble (newer than `before.messages`) carries our text and
+// no new error marker shows up right after; "error" on a new send-failure marker before that; and
+// "unconfirmed" when neither happens, or when the error comes after the bubble (it may have gone out).
+async function confirmDelivery(page, text, before = { messages: 0, errors: [] }, timeoutMs = MESSAGE_CONFIRM_MS) {
+  const want = normalizeComposerText(text);
+  const deadline = now() + timeoutMs;
+  const newError = async () => {
+    const i = (await visibleCounts(page, "messageErrorToast")).findIndex((c, k) => c > (before.errors[k] || 0));
+    return i < 0 ? null : sel(page, "messageErrorToast")[i];
+  };
+  let latest = null;
+  do {
+    const failed = await newError();
+    if (failed) {
+      selectors.match(failed);
+      return { status: "error", details: ((await failed.last().innerText().catch(() => "")) || "Send error shown").trim().slice(0, 200) };
+    }
+    const out = await outgoingMessages(page);
+    if (out.texts.length > before.messages) {
+      latest = out.texts[out.texts.length - 1];
+      if (normalizeComposerText(latest) === want) {
+        selectors.match(out.loc);
+        // LinkedIn renders the bubble optimistically; a failure marks it a moment later
+        for (let i = 0; i < 4; i++) {
+          await sleep(250);
+          if (await newError()) return { status: "unconfirmed", details: "Send error shown after the message appeared" };
+        }
+        return { status: "sent" };
+      }
+    }
+    await sleep(250);
+  } while (now() < deadline);
+  return { status: "unconfirmed", details: latest == null ? "No new outgoing message in the thread" : "Latest outgoing message does not match the text sent" };
+}
+
+// → { status: "sent" | "error" | "unconfirmed" | "no_send_control", details? }
+async function clickSendInComposer(page, text) {
+  await detectPageLocale(page);
+  const before = await threadBaseline(page);
+  for (const s of sel(page, "messageSendButton")) {
+    let clicked = false;
     try {
       const handle = s.first();
       if (await handle.isVisible({ timeout: 1500 }).catch(() => false)) {
         await sprout('send-message');
+        markSendClicked();
         await handle.click({ timeout: 4000 });
-        await microDelay();
-        const sent = await Promise.race([
-          page.locator('div:has-text("Message sent")').waitFor({ timeout: 4000 }).then(() => true).catch(() => false),
-          page.locator('.msg-form__contenteditable[contenteditable="true"]').evaluate(el => (el.innerText || "").trim().length === 0).catch(() => false),
-          sleep(1500).then(() => true),
-        ]);
-        if (sent) return true;
+        clicked = true;
+        selectors.match(s);
       }
     } catch {}
+    // Once Send was clicked never try another control: a slow thread must not become a second message
+    if (clicked) { await microDelay(); return confirmDelivery(page, text, before); }
   }
-  try {
-    const editor = page.locator('.msg-form__contenteditable[contenteditable="true"], [role="textbox"][contenteditable="true"], textarea').first();
-    if (await editor.isVisible({ timeout: 800 }).catch(() => false)) {
-      await editor.press("Enter").catch(()=>{});
-      await microDelay();
-      const sentByEnter = await Promise.race([
-        page.locator('div:has-text("Message sent")').waitFor({ timeout: 2000 }).then(() => true).catch(() => false),
-        sleep(1500).then(() => true),
-      ]);
-      if (sentByEnter) return true;
-      await editor.press("Control+Enter").catch(()=>{});
-      await microDelay();
-      const sentByCtrlEnter = await Promise.race([
-        page.locator('div:has-text("Message sent")').waitFor({ timeout: 2000 }).then(() => true).catch(() => false),
-        sleep(1500).then(() => true),
-      ]);
-      if (sentByCtrlEnter) return true;
-    }
-  } catch {}
-  return false;
+  // No Send button: Enter sends by default, Ctrl+Enter when "Press Enter to send" is switched off
+  const found = await firstVisible(page, "composerEditorAny", 800).catch(() => null);
+  const editor = found?.first();
+  if (!editor) return { status: "no_send_control" };
+  selectors.match(found);
+  let result = { status: "no_send_control" };
+  for (const key of ["Enter", "Control+Enter"]) {
+    const pending = await readComposerText(editor).catch(() => "");
+    // The editor emptied after Enter: it went out once, give the thread the full wait
+    if (!normalizeComposerText(pending)) return result.status === "no_send_control" ? result : confirmDelivery(page, text, before);
+    markSendClicked();
+    await editor.press(key).catch(() => {});
+    await microDelay();
+    result = await confirmDelivery(page, text, before, key === "Enter" ? Math.min(3000, MESSAGE_CONFIRM_MS) : MESSAGE_CONFIRM_MS);
+    if (result.status !== "unconfirmed") return result;
+  }
+  return result;
 }
 
 // *** FINAL FIX: robust messaging without affecting connect flow ***
-async function sendMessageFlow(page, messageText) {
+// Recent outgoing bubbles compared against the message before typing; an identical one means it already went out
+const THREAD_DEDUPE_LAST = 3;
+
+async function sendMessageFlow(page, messageText, { userId = null, ledgerKey = null } = {}) {
+  // 0) Sent before (ledger)?
+  const prior = ledgerKey ? ledger.find(userId || "default", { key: ledgerKey }) : null;
+  if (prior?.actionTaken === "attempted") return { outcome: "unconfirmed", actionTaken: "unconfirmed", relationshipStatus: "connected", details: `Ledger: Send was clicked${prior.jobId ? ` by job ${prior.jobId}` : ""} at ${new Date(prior.at).toISOString()} without confirmation; not sending again` };
+  if (prior) return { outcome: "success", actionTaken: "already_sent", relationshipStatus: "connected", details: `Ledger: already sent${prior.jobId ? ` by job ${prior.jobId}` : ""} at ${new Date(prior.at).toISOString()}` };
+
   // 1) Infer relationship (conservative)
   const rs = await detectRelationshipStatus(page);
 
   // 2) If not clearly connected, allow "best-effort" click when a real Message button exists and it's not InMail/Open Profile
   let allowClickAnyway = false;
   if (rs.status !== "connected") {
-    const messageBtnVisible = await anyVisible(
-      page.getByRole("button", { name: /(^|\s)Message(\s|$)/i }),
-      page.getByRole("link",   { name: /(^|\s)Message(\s|$)/i }),
-      page.locator('button[aria-label^="Message"]'),
-      page.locator('a[aria-label^="Message"]'),
-      page.locator('button:has(span.artdeco-button__text:has-text("Message"))'),
-      page.locator('a:has(span.artdeco-button__text:has-text("Message"))'),
-      page.locator('button[aria-label="Message"]'),
-      page.locator('a[data-control-name*="message"]'),
-      page.locator('button:has-text("Message")'),
-    );
+    const messageBtnVisible = await anyVisible(sel(page, "messageButton"));
     const paidSurface = await looksLikeInMailOrOpenProfile(page);
     allowClickAnyway = messageBtnVisible && !paidSurface;
   }
 
   if (rs.status !== "connected" && !allowClickAnyway) {
     const paid = await looksLikeInMailOrOpenProfile(page);
-    if (paid) return { actionTaken: "unavailable", relationshipStatus: "not_connected", details: "Messaging requires InMail/Open Profile (not 1st-degree)" };
-    return { actionTaken: "unavailable", relationshipStatus: rs.status, details: "Message not available (not connected)" };
+    if (paid) return { outcome: "not_eligible", actionTaken: "unavailable", relationshipStatus: "not_connected", details: "Messaging requires InMail/Open Profile (not 1st-degree)" };
+    return { outcome: "not_eligible", actionTaken: "unavailable", relationshipStatus: rs.status, details: "Message not available (not connected)" };
   }
 
   // 3) Open message UI
   const opened = await openMessageDialog(page);
-  if (!opened.opened) return { actionTaken: "unavailable", relationshipStatus: rs.status === "connected" ? "connected" : "not_confirmed", details: "Message dialog not found" };
+  if (!opened.opened) return { outcome: "selector_broken", actionTaken: "unavailable", relationshipStatus: rs.status === "connected" ? "connected" : "not_confirmed", details: "Message dialog not found" };
 
   // 4) Verify composer actually present (not upsell)
-  const composerPresent = await anyVisible(
-    page.locator('[data-test-conversation-compose]'),
-    page.locator('.msg-overlay-conversation-bubble'),
-    page.locator('.msg-form__contenteditable[contenteditable="true"]'),
-    page.getByRole('textbox')
-  );
-  if (!composerPresent) return { actionTaken: "unavailable", relationshipStatus: "not_connected", details: "Opened non-message surface (likely InMail/upsell)" };
-
-  // 5) Type & send
+  const composerPresent = await anyVisible(sel(page, "composerPresent"));
+  if (!composerPresent) return { outcome: "not_eligible", actionTaken: "unavailable", relationshipStatus: "not_connected", details: "Opened non-message surface (likely InMail/upsell)" };
+
+  // 5) Same text among the latest outgoing messages of the thread → don't repeat it
+  const { texts } = await outgoingMessages(page);
+  const want = normalizeComposerText(messageText);
+  if (texts.slice(-THREAD_DEDUPE_LAST).some((t) => normalizeComposerText(t) === want)) {
+    return { outcome: "success", actionTaken: "already_sent", relationshipStatus: "connected", details: "Identical message already in the conversation thread" };
+  }
+
+  // 6) Type & send
   await microDelay();
   const typed = await typeIntoComposer(page, messageText);
-  if (!typed) return { actionTaken: "failed_to_type", relationshipStatus: "connected", details: "Could not type into composer" };
+  if (typed.reason === "mismatch") return { outcome: "transient", actionTaken: "failed_to_type", relationshipStatus: "connected", details: "Composer text did not match the message; not sent" };
+  if (!typed.ok) return { outcome: "selector_broken", actionTaken: "failed_to_type", relationshipStatus: "connected", details: "Could not type into composer" };
+
+  // Rehearsal: the text is in and verified; note the Send control, then empty the composer so no draft is left
+  if (rehearsing()) {
+    const control = await findSendControl(page, ["messageSendButton", "composerEditorAny"]);
+    const editor = await firstVisible(page, "composerEditorAny", 800);
+    if (!editor || !(await clearEditor(page, editor.first()))) {
+      return { outcome: "selector_broken", actionTaken: "rehearsed", relationshipStatus: "connected", wouldSend: "message", sendControl: control, details: "Rehearsal: composer could not be emptied; a draft may be left in the thread" };
+    }
+    return rehearsalOutcome({ wouldSend: "message", control }, "connected");
+  }
 
   await microDelay();
-  const sent = await clickSendInComposer(page);
-  if (sent) return { actionTaken: "sent", relationshipStatus: "connected", details: "Message sent" };
-  return { actionTaken: "failed_to_send", relationshipStatus: "connected", details: "Failed to send message" };
+  const delivery = await clickSendInComposer(page, messageText);
+  if (delivery.status === "sent") return { outcome: "success", actionTaken: "sent", relationshipStatus: "connected", details: "Message sent (confirmed in thread)" };
+  if (delivery.status === "unconfirmed") return { outcome: "unconfirmed", actionTaken: "unconfirmed", relationshipStatus: "connected", details: `Send attempted but not confirmed: ${delivery.details}` };
+  // Even an explicit error toast comes after the click; whether it really stayed unsent is not ours to bet on
+  if (delivery.status === "error") return { outcome: "unconfirmed", actionTaken: "failed_to_send", relationshipStatus: "connected", details: `LinkedIn reported a send error: ${delivery.details}` };
+  return { outcome: "selector_broken", actionTaken: "failed_to_send", relationshipStatus: "connected", details: "No Send button or editor to send from" };
+}
+
+// ---------- Failure artifacts ----------
+// Handlers register the session/page they work in; when a job ends with anything but success,
+// runJob saves screenshot + DOM (+ the job's trace chunk with ARTIFACT_TRACE) under
+// ARTIFACTS_DIR/<jobId>/ before the session is released. GET /artifacts/<jobId>/<file> on the
+// health server serves them back.
+async function beginJobSession(userId, context) {
+  const ctx = jobContext.getStore();
+  if (!ctx) return;
+  ctx.session = { userId, context, page: null, tracing: false };
+  if (ARTIFACTS_ENABLED && ARTIFACT_TRACE) {
+    // startChunk discards whatever the previous job (or the login) recorded
+    try { await context.tracing.startChunk(); ctx.session.tracing = true; }
+    catch (e) { log.warn("artifacts", "trace chunk start failed:", e?.message || e); }
+  }
+}
+function trackJobPage(page) { const ctx = jobContext.getStore(); if (ctx?.session) ctx.session.page = page; }
+
+const artifactDirFor = (jobId) => path.join(ARTIFACTS_DIR, sanitizeUserId(jobId));
+
+async function captureFailureArtifacts(job, session, { outcome, error }) {
+  if (!ARTIFACTS_ENABLED) return null;
+  const dir = artifactDirFor(job.id);
+  const files = [];
+  try { await fsp.mkdir(dir, { recursive: true }); } catch (e) { log.warn("artifacts", "mkdir failed:", e?.message || e); return null; }
+  const page = (session.page && !session.page.isClosed()) ? session.page : session.context.pages().filter((p) => !p.isClosed()).pop();
+  let url = null;
+  if (page) {
+    url = page.url();
+    try { await page.screenshot({ path: path.join(dir, "screenshot.png"), fullPage: true, timeout: 15000 }); files.push("screenshot.png"); }
+    catch (e) { log.warn("artifacts", "screenshot failed:", e?.message || e); }
+    try { await fsp.writeFile(path.join(dir, "dom.html"), await page.content()); files.push("dom.html"); }
+    catch (e) { log.warn("artifacts", "DOM snapshot failed:", e?.message || e); }
+  }
+  if (session.tracing) {
+    try { await session.context.tracing.stopChunk({ path: path.join(dir, "trace.zip") }); files.push("trace.zip"); }
+    catch (e) { log.warn("artifacts", "trace save failed:", e?.message || e); }
+    session.tracing = false;
+  }
+  const meta = { jobId: job.id, type: job.type, userId: session.userId, outcome, error, url, files, at: new Date().toISOString() };
+  await fsp.writeFile(path.join(dir, "meta.json"), JSON.stringify(meta, null, 2)).catch(() => {});
+  log.info("artifacts", `saved ${files.join(", ") || "metadata only"} to ${dir}`);
+  pruneArtifacts().catch(() => {});
+  if (ARTIFACT_UPLOAD) await uploadArtifacts(job, dir, files, meta);
+  return { dir, files };
+}
+
+// Sign-in failures happen before the job has a session of its own: the acquiring context is captured
+// here, before it closes, and runJobInner attaches the result
+async function captureAuthArtifacts(s, { outcome, error }) {
+  const ctx = jobContext.getStore();
+  if (!ctx?.jobId || !ARTIFACTS_ENABLED) return;
+  const session = { userId: s.userId, context: s.context, page: s.page, tracing: ARTIFACT_TRACE };
+  ctx.artifacts = await captureFailureArtifacts({ id: ctx.jobId, type: ctx.jobType }, session, { outcome, error }).catch(() => null);
+}
+
+// Sends the files to POST /jobs/:id/artifacts (base64); files over the budget are listed without data.
+// trace.zip holds session cookies and is left out unless ARTIFACT_UPLOAD_TRACE.
+async function uploadArtifacts(job, dir, files, meta) {
+  let budget = ARTIFACT_UPLOAD_MAX_BYTES;
+  const payload = [];
+  for (const name of files) {
+    if (name === "trace.zip" && !ARTIFACT_UPLOAD_TRACE) continue;
+    try {
+      const buf = await fsp.readFile(path.join(dir, name));
+      const contentType = name.endsWith(".png") ? "image/png" : name.endsWith(".zip") ? "application/zip" : "text/html";
+      if (buf.length > budget) { payload.push({ name, contentType, size: buf.length, skipped: "too_large" }); continue; }
+      budget -= buf.length;
+      payload.push({ name, contentType, size: buf.length, data: buf.toString("base64") });
+    } catch {}
+  }
+  try { await apiPost(`/jobs/${job.id}/artifacts`, { meta, files: payload }, { retries: API_RETRIES }); }
+  catch (e) { logFetchError(`jobs/${job.id}/artifacts`, e); }
+}
+
+// Retention: drop job dirs older than ARTIFACT_RETENTION_MS, then keep the newest ARTIFACT_MAX_JOBS.
+async function pruneArtifacts() {
+  let entries;
+  try { entries = await fsp.readdir(ARTIFACTS_DIR, { withFileTypes: true }); } catch { return; }
+  const dirs = [];
+  for (const e of entries) {
+    if (!e.isDirectory()) continue;
+    const full = path.join(ARTIFACTS_DIR, e.name);
+    try { dirs.push({ full, mtimeMs: (await fsp.stat(full)).mtimeMs }); } catch {}
+  }
+  dirs.sort((x, y) => y.mtimeMs - x.mtimeMs);
+  const cutoff = now() - ARTIFACT_RETENTION_MS;
+  for (const [i, d] of dirs.entries()) {
+    if (d.mtimeMs < cutoff || i >= ARTIFACT_MAX_JOBS) await fsp.rm(d.full, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+// ---------- Video recording ----------
+// Each job's profile tab records its own video (Playwright writes it when the tab closes).
+// Depending on VIDEO_MODE it is moved to VIDEO_DIR under the job's name or deleted.
+// Open browser contexts that record video; their pages' raw files are still being written
+const recordingContexts = new Set();
+
+async function keepOrDropVideo(video, name) {
+  try {
+    if (!name) { await video.delete(); return null; }
+    const dest = path.join(VIDEO_DIR, name);
+    await video.saveAs(dest);
+    await video.delete().catch(() => {});
+    log.info("video", "saved:", dest);
+    pruneVideos().catch(() => {});
+    return dest;
+  } catch (e) { log.warn("video", "finalize failed:", e?.message || e); return null; }
+}
+
+// → kept video path or null. Call after the job's page has been closed.
+async function finalizeJobVideo(job, session, failed) {
+  const video = session.page?.video?.();
+  if (!video) return null;
+  const keep = VIDEO_MODE === "always" || (VIDEO_MODE === "keep-on-failure" && failed);
+  return keepOrDropVideo(video, keep ? `${sanitizeUserId(job.id)}__${sanitizeUserId(session.userId)}.webm` : null);
+}
+
+async function recordingPaths() {
+  const paths = new Set();
+  for (const context of recordingContexts) {
+    for (const page of context.pages()) {
+      const file = await page.video()?.path().catch(() => null);
+      if (file) paths.add(path.resolve(file));
+    }
+  }
+  return paths;
+}
+
+// Retention: delete videos older than VIDEO_MAX_AGE_MS, then the oldest until under VIDEO_MAX_TOTAL_BYTES.
+// Recordings of open pages are left alone and not counted.
+async function pruneVideos() {
+  const files = [];
+  const recording = await recordingPaths();
+  for (const dir of [VIDEO_DIR, VIDEO_RAW_DIR]) {
+    let names = [];
+    try { names = await fsp.readdir(dir); } catch { continue; }
+    for (const n of names) {
+      if (!n.endsWith(".webm")) continue;
+      const full = path.join(dir, n);
+      if (recording.has(path.resolve(full))) continue;
+      try { const st = await fsp.stat(full); files.push({ full, size: st.size, mtimeMs: st.mtimeMs }); } catch {}
+    }
+  }
+  files.sort((a, b) => b.mtimeMs - a.mtimeMs);
+  const cutoff = now() - VIDEO_MAX_AGE_MS;
+  let total = 0;
+  for (const f of files) {
+    total += f.size;
+    if (f.mtimeMs < cutoff || total > VIDEO_MAX_TOTAL_BYTES) await fsp.rm(f.full, { force: true }).catch(() => {});
+  }
+}
+
+// ---------- Outcome taxonomy ----------
+// Every job ends in one of these classes; the class decides whether it is completed, failed for
+// good, or requeued with exponential backoff (base·2^(attempt-1), capped, plus jitter).
+const OUTCOME_POLICIES = {
+  success:             { report: "complete" },
+  not_eligible:        { report: "complete" },
+  suppressed:          { report: "complete" },
+  permanent_not_found: { report: "fail", requeue: false },
+  invalid_job:         { report: "fail", requeue: false },
+  transient:           { report: "fail", requeue: true, baseMs: 2 * 60_000,  maxMs: 30 * 60_000,     maxAttempts: 5 },
+  selector_broken:     { report: "fail", requeue: true, baseMs: 30 * 60_000, maxMs: 2 * 3600_000,    maxAttempts: 2 },
+  auth_required:       { report: "fail", requeue: true, baseMs: 30 * 60_000, maxMs: 6 * 3600_000,    maxAttempts: 3 },
+  rate_limited:        { report: "fail", requeue: true, baseMs: 3600_000,    maxMs: 6 * 3600_000,    maxAttempts: 4 },
+  // Send was attempted but delivery could not be verified: a retry might message the person twice
+  unconfirmed:         { report: "fail", requeue: false },
+};
+
+// Runs per job id, counted here and persisted to STATE_DIR/attempts.json: the job API need not send
+// `attempts`, and without a count retryable outcomes would be requeued forever. The API's own count
+// wins when it is higher. Entries go once the job is reported for good, or after a week.
+class JobAttempts {
+  constructor(file = path.join(STATE_DIR, "attempts.json")) { this.file = file; this.data = null; }
+  _load() {
+    if (this.data) return this.data;
+    this.data = {};
+    try { this.data = JSON.parse(fs.readFileSync(this.file, "utf8")) || {}; } catch {}
+    return this.data;
+  }
+  _save() {
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      fs.writeFileSync(`${this.file}.tmp`, JSON.stringify(this.data));
+      fs.renameSync(`${this.file}.tmp`, this.file);
+    } catch (e) { log.warn("worker", "attempts save failed:", e?.message || e); }
+  }
+  // Counts one more run of `job` → its attempt number
+  next(job) {
+    const data = this._load();
+    const cutoff = now() - 7 * 86400_000;
+    for (const [id, e] of Object.entries(data)) if (!(e?.at > cutoff)) delete data[id];
+    const count = Math.max((data[job.id]?.count || 0) + 1, Number(job.attempts) || 0);
+    data[job.id] = { count, at: now() };
+    this._save();
+    return count;
+  }
+  // The run did not count after all (deferred before it could act)
+  uncount(jobId) {
+    const e = this._load()[jobId];
+    if (!e) return;
+    e.count = Math.max(0, e.count - 1);
+    this._save();
+  }
+  forget(jobId) {
+    if (!this._load()[jobId]) return;
+    delete this.data[jobId];
+    this._save();
+  }
+}
+const jobAttempts = new JobAttempts();
+
+// Thrown by handlers when the failure class is known up front (bad payloads, …)
+class JobError extends Error {
+  constructor(code, message) { super(message); this.name = "JobError"; this.code = code; }
+}
+
+function navOutcome(nav) {
+  if (nav?.error === "rate_limited") return "rate_limited";
+  if (nav?.error === "not_found") return "permanent_not_found";
+  return "transient";
+}
+function hardScreenOutcome(hard) {
+  if (hard === "404") return "permanent_not_found";
+  if (hard === "429") return "rate_limited";
+  return "auth_required"; // captcha / checkpoint needs a human
+}
+
+// Result objects carry an explicit `outcome`; older shapes are mapped from actionTaken/ok.
+function classifyResult(result) {
+  if (result?.outcome && OUTCOME_POLICIES[result.outcome]) return result.outcome;
+  if (result?.ok === false) return "auth_required";
+  const a = result?.actionTaken;
+  if (!a || a === "none" || a.startsWith("sent")) return "success";
+  if (a === "page_not_found") return "permanent_not_found";
+  if (a === "rate_limited") return "rate_limited";
+  return "transient";
+}
+function classifyError(err) {
+  return (err?.code && OUTCOME_POLICIES[err.code]) ? err.code : "transient";
+}
+
+// payload.locale pins the locale pack for a job; without it the page's lang decides
+function jobLocale(job) {
+  const requested = job?.payload?.locale;
+  if (!requested) return null;
+  const locale = selectors.localeFor(requested);
+  if (!locale) throw new JobError("invalid_job", `Unsupported locale: ${requested}`);
+  return locale;
+}
+
+// → { outcome, report: "complete"|"fail", requeue, delayMs }
+function outcomeDecision(outcome, attempts = 1) {
+  const policy = OUTCOME_POLICIES[outcome] || OUTCOME_POLICIES.transient;
+  if (policy.report === "complete") return { outcome, report: "complete", requeue: false, delayMs: 0 };
+  const attempt = Math.max(1, Number(attempts) || 1);
+  if (!policy.requeue || attempt >= policy.maxAttempts) return { outcome, report: "fail", requeue: false, delayMs: 0 };
+  const delayMs = Math.min(policy.maxMs, policy.baseMs * 2 ** (attempt - 1)) + within(0, Math.floor(policy.baseMs / 10));
+  return { outcome, report: "fail", requeue: true, delayMs };
+}
+
+// ---------- Message templates ----------
+// payload.template: "Hi {{firstName}}, …" with optional inline fallbacks "{{company|your team}}".
+// Values come from the profile header, then the inline fallback, then payload.fallbacks[name].
+const TEMPLATE_VARS = ["firstName", "lastName", "fullName", "headline", "company"];
+const TEMPLATE_RE = /\{\{\s*(\w+)\s*(?:\|([^{}]*))?\}\}/g;
+
+// Rejects unknown variables and stray braces up front, before any browser work
+function validateTemplate(template) {
+  if (typeof template !== "string" || !template.trim()) throw new JobError("invalid_job", "payload.template must be a non-empty string");
+  const unknown = [...template.matchAll(TEMPLATE_RE)].map((m) => m[1]).filter((n) => !TEMPLATE_VARS.includes(n));
+  if (unknown.length) throw new JobError("invalid_job", `Unknown template variable(s): ${[...new Set(unknown)].join(", ")} (supported: ${TEMPLATE_VARS.join(", ")})`);
+  if (/\{\{|\}\}/.test(template.replace(TEMPLATE_RE, ""))) throw new JobError("invalid_job", "payload.template has a malformed {{placeholder}}");
+}
+
+// → { text, missing } where missing names variables with neither a value nor a fallback
+function renderTemplate(template, vars = {}, fallbacks = {}) {
+  const missing = new Set();
+  const text = template.replace(TEMPLATE_RE, (whole, name, inline) => {
+    const value = [vars[name], inline, fallbacks?.[name]].map((v) => (v == null ? "" : String(v).trim())).find(Boolean);
+    if (!value) { missing.add(name); return whole; }
+    return value;
+  });
+  return { text, missing: [...missing] };
+}
+
+// "Jane Doe, PhD (She/Her) 🚀" → "Jane Doe"
+function cleanProfileName(raw) {
+  return String(raw || "").replace(/\(.*?\)/g, " ").split(",")[0].replace(/[^\p{L}\p{M}\s'.-]/gu, " ").replace(/\s+/g, " ").trim();
+}
+// "Head of Growth at Acme | Speaker" → "Acme" (separator words come from the locale pack). The last
+// separator before any "|" wins: "Ingeniero en software en Acme", "Looking at roles at Acme".
+function companyFromHeadline(headline, locale) {
+  const role = String(headline || "").split(/\s[|·•]\s/)[0];
+  let at = -1, rest = "";
+  for (const sep of selectors.labelsFor(locale, "headlineAt")) {
+    for (const m of role.matchAll(new RegExp(`(?:^|\\s)${escapeRe(sep)}\\s+`, "gi"))) {
+      if (m.index > at) { at = m.index; rest = role.slice(m.index + m[0].length); }
+    }
+  }
+  return rest.split(",")[0].trim();
+}
+
+async function readProfileVariables(page) {
+  const locale = await detectPageLocale(page);
+  const textOf = async (group) => {
+    const l = await firstVisible(page, group, 1500);
+    if (!l) return "";
+    selectors.match(l);
+    return (await l.first().innerText().catch(() => "")).replace(/\s+/g, " ").trim();
+  };
+  const fullName = cleanProfileName(await textOf("profileName"));
+  const headline = await textOf("profileHeadline");
+  const company = (await textOf("profileCompany")) || companyFromHeadline(headline, locale);
+  const [firstName = "", ...rest] = fullName.split(" ");
+  return { firstName, lastName: rest.join(" "), fullName, headline, company };
 }
 
 // ---------- Job handlers ----------
+const rehearsalFields = (outcome) => (outcome.actionTaken === "rehearsed" ? { rehearsal: true, wouldSend: outcome.wouldSend, sendControl: outcome.sendControl } : {});
+
 async function handleAuthCheck(job) {
   const userId = job?.payload?.userId || "default";
   const userStatePath = statePathForUser(userId);
-  if (SOFT_MODE) return { ok: true, via: "soft", message: "Soft auth ok" };
-  let browser, context, page, video;
+  if (SOFT_MODE) return { outcome: "success", ok: true, via: "soft", message: "Soft auth ok" };
   try {
-    ({ browser, context, page } = await createBrowserContext({ headless: HEADLESS, userStatePath }));
-    video = page.video?.();
-    const auth = await ensureAuthenticated(context, page, userStatePath);
+    setStep("auth");
+    const { context, auth, reused } = await sessions.acquire(userId);
     if (auth.ok) {
-      await feedWarmup(page);
-      await browser.close().catch(()=>{});
-      if (video) { try { console.log("[video] saved:", await video.path()); } catch {} }
-      return { ok: true, via: auth.via || "unknown", url: auth.url || null, message: "Authenticated and storageState saved." };
+      await beginJobSession(userId, context);
+      if (reused) await saveStorageState(context, userStatePath);
+      return { outcome: "success", ok: true, via: auth.via || "unknown", url: auth.url || null, message: "Authenticated and storageState saved." };
     } else {
-      await browser.close().catch(()=>{});
-      return { ok: false, reason: auth.reason || "guest_or_authwall", url: auth.url || null };
+      return { outcome: "auth_required", ok: false, reason: auth.reason || "guest_or_authwall", url: auth.url || null };
     }
   } catch (e) {
-    try { await browser?.close(); } catch {}
-    throw new Error(`AUTH_CHECK failed: ${e.message}`);
+    throw new JobError(e.code, `AUTH_CHECK failed: ${e.message}`);
   }
 }
 
 async function handleSendConnection(job) {
   const p = job?.payload || {};
   const targetUrl = p.profileUrl || (p.publicIdentifier ? `https://www.linkedin.com/in/${encodeURIComponent(p.publicIdentifier)}/` : null);
-  if (!targetUrl) throw new Error("payload.profileUrl or publicIdentifier required");
+  if (!targetUrl) throw new JobError("invalid_job", "payload.profileUrl or publicIdentifier required");
+  const note = p.note == null ? "" : String(p.note).trim();
+  if (note.length > NOTE_MAX_CHARS) throw new JobError("invalid_job", `payload.note is ${note.length} chars; LinkedIn allows ${NOTE_MAX_CHARS}`);
+  const suppressed = suppressionCheck(job, targetUrl);
+  if (suppressed) return suppressed;
 
+  const userId = p.userId || "default";
   if (SOFT_MODE) {
-    await throttle.reserve("linkedin.com", "SOFT send_connection");
+    await throttle.reserve(userId, "SOFT send_connection");
     await microDelay();
-    throttle.success("linkedin.com");
-    return { mode: "soft", profileUrl: targetUrl, at: new Date().toISOString() };
+    throttle.success(userId);
+    return { outcome: "success", mode: "soft", profileUrl: targetUrl, ...(FORCE_NO_NOTES && note && { noteSkipped: true, noteSkippedReason: "notes_disabled" }), at: new Date().toISOString() };
   }
 
-  await throttle.reserve("linkedin.com", "SEND_CONNECTION");
-  const userId = p.userId || "default";
-  const userStatePath = statePathForUser(userId);
+  const ledgerKey = ActionLedger.key(targetUrl, "invite");
+  const prior = ledger.find(userId, { jobId: job?.id, key: ledgerKey });
+  if (prior) return alreadySentResult(prior, targetUrl, "pending");
 
-  let browser, context, feedPage, profilePage, video;
-  try {
-    ({ browser, context, page: feedPage } = await createBrowserContext({ headless: HEADLESS, userStatePath }));
-    video = feedPage.video?.();
+  setStep("throttle");
+  await throttle.reserve(userId, "SEND_CONNECTION");
 
-    const auth = await ensureAuthenticated(context, feedPage, userStatePath);
+  let context, profilePage;
+  try {
+    let auth;
+    setStep("auth");
+    ({ context, auth } = await sessions.acquire(userId));
     if (!auth.ok) {
-      await browser.close().catch(()=>{});
-      throttle.failure("linkedin.com");
-      return { mode: "real", profileUrl: targetUrl, actionTaken: "unavailable", details: "Not authenticated (authwall/guest)" };
+      return { outcome: "auth_required", mode: "real", profileUrl: targetUrl, actionTaken: "unavailable", details: `Not authenticated (${auth.reason || "authwall/guest"})` };
     }
 
-    await feedWarmup(feedPage);
+    await beginJobSession(userId, context);
     profilePage = await newPageInContext(context);
+    trackJobPage(profilePage);
 
+    setStep("navigate");
     const nav = await navigateProfileClean(profilePage, targetUrl);
     if (!nav.authed) {
       const details = nav.error || "Authwall/404/429 on profile nav.";
-      try { await profilePage.close().catch(()=>{}); } catch {}
-      await browser.close().catch(()=>{});
-      throttle.failure("linkedin.com");
-      return { mode: "real", profileUrl: targetUrl, usedUrl: nav.usedUrl, finalUrl: nav.finalUrl, httpStatus: nav.status, actionTaken: "unavailable", details };
+      throttle.failure(userId);
+      return { outcome: navOutcome(nav), mode: "real", profileUrl: targetUrl, usedUrl: nav.usedUrl, finalUrl: nav.finalUrl, httpStatus: nav.status, actionTaken: "unavailable", details };
     }
 
     if (!isProfileUrl(profilePage.url())) {
-      try { await profilePage.close().catch(()=>{}); } catch {}
-      await browser.close().catch(()=>{});
-      throttle.failure("linkedin.com");
-      return { mode: "real", profileUrl: targetUrl, actionTaken: "unavailable", details: "Landed on non-profile page (redirected to feed)." };
+      throttle.failure(userId);
+      return { outcome: "transient", mode: "real", profileUrl: targetUrl, actionTaken: "unavailable", details: "Landed on non-profile page (redirected to feed)." };
     }
 
     await waitFullLoad(profilePage, NAV_TIMEOUT_MS);
     await briefProfileScroll(profilePage, 2000);
     await sleep(PROFILE_INITIAL_WAIT_MS);
 
+    setStep("inspect");
     const hard = await detectHardScreen(profilePage);
     if (hard === "404" || hard === "429" || hard === "captcha") {
       const details = hard === "404" ? "Public profile URL returned 404." : hard === "429" ? "Hit LinkedIn 429 (rate-limited)." : "Encountered verification/captcha.";
-      try { await profilePage.close().catch(()=>{}); } catch {}
-      await browser.close().catch(()=>{});
-      throttle.failure("linkedin.com");
-      return { mode: "real", profileUrl: targetUrl, actionTaken: hard === "404" ? "page_not_found" : "rate_limited", details };
+      throttle.failure(userId);
+      return { outcome: hardScreenOutcome(hard), mode: "real", profileUrl: targetUrl, actionTaken: hard === "404" ? "page_not_found" : "rate_limited", details };
     }
 
-    const outcome = await sendConnectionRequest(profilePage, null);
+    setStep("connect");
+    armLedger(userId, ledgerKey);
+    const outcome = await sendConnectionRequest(profilePage, note || null);
+    // Recorded before anything else can bail out: a confirmed send must never be retried
+    if (SENT_ACTIONS.has(outcome.actionTaken)) ledger.record(userId, { jobId: job?.id, key: ledgerKey, actionTaken: outcome.actionTaken });
 
-    if (!isProfileUrl(profilePage.url())) {
+    if (!SENT_ACTIONS.has(outcome.actionTaken) && !isProfileUrl(profilePage.url())) {
       try { await profilePage.goBack({ waitUntil: "domcontentloaded", timeout: NAV_TIMEOUT_MS }).catch(()=>{}); } catch {}
       if (!isProfileUrl(profilePage.url())) {
-        try { await profilePage.close().catch(()=>{}); } catch {}
-        await browser.close().catch(()=>{});
-        throttle.failure("linkedin.com");
-        return { mode: "real", profileUrl: targetUrl, actionTaken: "unavailable", details: "Redirected off profile during attempt." };
+        throttle.failure(userId);
+        // After the Send click the invite may have gone out; runJobInner keeps this from being requeued
+        return { outcome: sendClicked() ? "unconfirmed" : "transient", mode: "real", profileUrl: targetUrl, actionTaken: "unavailable", details: "Redirected off profile during attempt." };
       }
     }
 
+
     await sleep(3000);
-    try { await profilePage.close().catch(()=>{}); } catch {}
-    await browser.close().catch(()=>{});
 
-    if (outcome.actionTaken?.startsWith("sent")) throttle.success("linkedin.com");
-    else if (outcome.actionTaken === "failed_to_send" || outcome.actionTaken === "unavailable") throttle.failure("linkedin.com");
-    else throttle.success("linkedin.com");
+    if (outcome.actionTaken?.startsWith("sent")) { throttle.success(userId); throttle.record(userId, "invite"); }
+    else if (outcome.actionTaken === "failed_to_send" || outcome.actionTaken === "unavailable") throttle.failure(userId);
+    else if (outcome.actionTaken !== "rehearsed") throttle.success(userId);
 
     return {
       mode: "real", profileUrl: targetUrl,
-      actionTaken: outcome.actionTaken,
+      outcome: outcome.outcome || "success", actionTaken: outcome.actionTaken,
       relationshipStatus: outcome.relationshipStatus || "unknown",
+      withNote: !!outcome.withNote, ...(outcome.noteSkipped && { noteSkipped: true, noteSkippedReason: outcome.noteSkippedReason }),
+      ...rehearsalFields(outcome),
       details: outcome.details, at: new Date().toISOString(),
     };
   } catch (e) {
-    try { await profilePage?.close()?.catch(()=>{}); } catch {}
-    try { await browser?.close(); } catch {}
-    throttle.failure("linkedin.com");
-    throw new Error(`SEND_CONNECTION failed: ${e.message}`);
+    throttle.failure(userId);
+    throw new JobError(e.code, `SEND_CONNECTION failed: ${e.message}`);
   }
 }
 
 async function handleSendMessage(job) {
   const p = job?.payload || {};
   const targetUrl = p.profileUrl || (p.publicIdentifier ? `https://www.linkedin.com/in/${encodeURIComponent(p.publicIdentifier)}/` : null);
-  if (!targetUrl) throw new Error("payload.profileUrl or publicIdentifier required");
+  if (!targetUrl) throw new JobError("invalid_job", "payload.profileUrl or publicIdentifier required");
 
-  const messageText = p.message;
-  if (!messageText) throw new Error("payload.message required");
+  let messageText = p.template ? null : p.message;
+  if (p.template) validateTemplate(p.template);
+  else if (!messageText) throw new JobError("invalid_job", "payload.message or payload.template required");
+  const tooLong = (t) => Array.from(String(t)).length > MESSAGE_MAX_CHARS;
+  if (messageText && tooLong(messageText)) throw new JobError("invalid_job", `payload.message is longer than ${MESSAGE_MAX_CHARS} characters`);
+  const suppressed = suppressionCheck(job, targetUrl);
+  if (suppressed) return suppressed;
 
+  const userId = p.userId || "default";
   if (SOFT_MODE) {
-    await throttle.reserve("linkedin.com", "SOFT send_message");
+    await throttle.reserve(userId, "SOFT send_message");
     await microDelay();
-    throttle.success("linkedin.com");
-    return { mode: "soft", profileUrl: targetUrl, messageUsed: messageText, at: new Date().toISOString() };
+    throttle.success(userId);
+    if (messageText) return { outcome: "success", mode: "soft", profileUrl: targetUrl, messageUsed: messageText, at: new Date().toISOString() };
+    // No profile to read in soft mode: a template is only "used" when the fallbacks resolve all of it
+    const { text, missing } = renderTemplate(p.template, {}, p.fallbacks);
+    return { outcome: "success", mode: "soft", profileUrl: targetUrl, ...(missing.length ? { templatePreview: text, unresolvedVariables: missing } : { messageUsed: text }), at: new Date().toISOString() };
   }
 
-  await throttle.reserve("linkedin.com", "SEND_MESSAGE");
-  const userId = p.userId || "default";
-  const userStatePath = statePathForUser(userId);
+  // Templates are keyed once rendered (in sendMessageFlow); the job id is checked up front either way
+  const prior = ledger.find(userId, { jobId: job?.id, key: messageText ? ActionLedger.key(targetUrl, "message", messageText) : null });
+  if (prior) return { ...alreadySentResult(prior, targetUrl, "connected"), ...(messageText && { messageUsed: messageText }) };
 
-  let browser, context, feedPage, profilePage, video;
-  try {
-    ({ browser, context, page: feedPage } = await createBrowserContext({ headless: HEADLESS, userStatePath }));
-    video = feedPage.video?.();
+  setStep("throttle");
+  await throttle.reserve(userId, "SEND_MESSAGE");
 
-    const auth = await ensureAuthenticated(context, feedPage, userStatePath);
+  let context, profilePage;
+  try {
+    let auth;
+    setStep("auth");
+    ({ context, auth } = await sessions.acquire(userId));
     if (!auth.ok) {
-      await browser.close().catch(()=>{});
-      throttle.failure("linkedin.com");
-      return { mode: "real", profileUrl: targetUrl, actionTaken: "unavailable", details: "Not authenticated (authwall/guest)" };
+      return { outcome: "auth_required", mode: "real", profileUrl: targetUrl, actionTaken: "unavailable", details: `Not authenticated (${auth.reason || "authwall/guest"})` };
     }
 
-    await feedWarmup(feedPage);
+    await beginJobSession(userId, context);
     profilePage = await newPageInContext(context);
+    trackJobPage(profilePage);
 
+    setStep("navigate");
     const nav = await navigateProfileClean(profilePage, targetUrl);
     if (!nav.authed) {
       const details = nav.error || "Authwall/404/429 on profile nav.";
-      try { await profilePage.close().catch(()=>{}); } catch {}
-      await browser.close().catch(()=>{});
-      throttle.failure("linkedin.com");
-      return { mode: "real", profileUrl: targetUrl, usedUrl: nav.usedUrl, finalUrl: nav.finalUrl, httpStatus: nav.status, actionTaken: "unavailable", details };
+      throttle.failure(userId);
+      return { outcome: navOutcome(nav), mode: "real", profileUrl: targetUrl, usedUrl: nav.usedUrl, finalUrl: nav.finalUrl, httpStatus: nav.status, actionTaken: "unavailable", details };
     }
 
     await waitFullLoad(profilePage, NAV_TIMEOUT_MS);
     await briefProfileScroll(profilePage, 2000);
     await sleep(PROFILE_INITIAL_WAIT_MS);
 
+    setStep("inspect");
     const hard = await detectHardScreen(profilePage);
     if (hard === "404" || hard === "429" || hard === "captcha") {
       const details = hard === "404" ? "Public profile URL returned 404." : hard === "429" ? "Hit LinkedIn 429 (rate-limited)." : "Encountered verification/captcha.";
-      try { await profilePage.close().catch(()=>{}); } catch {}
-      await browser.close().catch(()=>{});
-      throttle.failure("linkedin.com");
-      return { mode: "real", profileUrl: targetUrl, actionTaken: hard === "404" ? "page_not_found" : "rate_limited", details };
+      throttle.failure(userId);
+      return { outcome: hardScreenOutcome(hard), mode: "real", profileUrl: targetUrl, actionTaken: hard === "404" ? "page_not_found" : "rate_limited", details };
     }
 
-    const outcome = await sendMessageFlow(profilePage, messageText);
+    if (p.template) {
+      setStep("template");
+      const vars = await readProfileVariables(profilePage);
+      const { text, missing } = renderTemplate(p.template, vars, p.fallbacks);
+      if (missing.length) {
+        return { outcome: "invalid_job", mode: "real", profileUrl: targetUrl, actionTaken: "unavailable", missingVariables: missing, details: `Template variable(s) ${missing.map((n) => `{{${n}}}`).join(", ")} not found on the profile and no fallback given` };
+      }
+      if (tooLong(text)) return { outcome: "invalid_job", mode: "real", profileUrl: targetUrl, actionTaken: "unavailable", details: `Rendered template is longer than ${MESSAGE_MAX_CHARS} characters` };
+      messageText = text;
+    }
+
+    setStep("message");
+    const ledgerKey = ActionLedger.key(targetUrl, "message", messageText);
+    armLedger(userId, ledgerKey);
+    const outcome = await sendMessageFlow(profilePage, messageText, { userId, ledgerKey });
+    if (SENT_ACTIONS.has(outcome.actionTaken)) ledger.record(userId, { jobId: job?.id, key: ledgerKey, actionTaken: outcome.actionTaken });
 
     await sleep(1200);
-    try { await profilePage.close().catch(()=>{}); } catch {}
-    await browser.close().catch(()=>{});
 
-    if (outcome.actionTaken === "sent") throttle.success("linkedin.com");
-    else if (outcome.actionTaken?.startsWith("failed") || outcome.actionTaken === "unavailable") throttle.failure("linkedin.com");
-    else throttle.success("linkedin.com");
+    // An unconfirmed send may well have gone out, so it counts against the quota too
+    if (outcome.actionTaken === "sent" || outcome.actionTaken === "unconfirmed") { throttle.success(userId); throttle.record(userId, "message"); }
+    else if (outcome.actionTaken?.startsWith("failed") || outcome.actionTaken === "unavailable") throttle.failure(userId);
+    else if (outcome.actionTaken !== "rehearsed") throttle.success(userId);
 
     return {
       mode: "real", profileUrl: targetUrl,
-      actionTaken: outcome.actionTaken,
+      outcome: outcome.outcome || "success", actionTaken: outcome.actionTaken,
       relationshipStatus: outcome.relationshipStatus || "unknown",
+      messageUsed: messageText,
+      ...rehearsalFields(outcome),
       details: outcome.details, at: new Date().toISOString(),
     };
   } catch (e) {
-    try { await profilePage?.close()?.catch(()=>{}); } catch {}
-    try { await browser?.close(); } catch {}
-    throttle.failure("linkedin.com");
-    throw new Error(`SEND_MESSAGE failed: ${e.message}`);
+    throttle.failure(userId);
+    throw new JobError(e.code, `SEND_MESSAGE failed: ${e.message}`);
   }
 }
 
+// ---------- Result outbox ----------
+// Each report is written to OUTBOX_DIR/<ts>-<job>-<kind>.json before it is posted and deleted once the
+// API accepted it, so a real-world outcome survives an API outage or a restart. Failed deliveries are
+// retried oldest-first with exponential backoff; a 4xx other than 408/429 means the API will never take
+// it (job gone or no longer ours), so it is dropped with an error log.
+class ResultOutbox {
+  constructor(dir = OUTBOX_DIR) { this.dir = dir; this.entries = null; this.flushing = null; }
+  _load() {
+    if (this.entries) return this.entries;
+    this.entries = new Map();
+    let files = [];
+    try { files = fs.readdirSync(this.dir).filter((f) => f.endsWith(".json")).sort(); } catch {}
+    for (const f of files) {
+      try {
+        const e = JSON.parse(fs.readFileSync(path.join(this.dir, f), "utf8"));
+        if (e?.jobId && (e.kind === "complete" || e.kind === "fail")) this.entries.set(f, e);
+      } catch (err) { log.warn("outbox", `unreadable entry ${f}:`, err?.message || err); }
+    }
+    if (this.entries.size) log.info("outbox", `${this.entries.size} undelivered report(s) from a previous run`);
+    return this.entries;
+  }
+  get size() { return this._load().size; }
+  backedUp() { return OUTBOX_MAX_PENDING > 0 && this.size >= OUTBOX_MAX_PENDING; }
+  _write(file, { jobId, kind, body, attempts, nextAttemptAt, createdAt, lastError }) {
+    const full = path.join(this.dir, file);
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(`${full}.tmp`, JSON.stringify({ jobId, kind, body, attempts, nextAttemptAt, createdAt, lastError }));
+    fs.renameSync(`${full}.tmp`, full);
+  }
+  _remove(file) {
+    this.entries.delete(file);
+    try { fs.unlinkSync(path.join(this.dir, file)); } catch {}
+  }
+  // Persists the report, then tries to deliver it right away; resolves true once the API has it
+  async send(jobId, kind, body) {
+    const file = `${now()}-${sanitizeUserId(jobId)}-${kind}.json`;
+    const entry = { jobId, kind, body, attempts: 0, nextAttemptAt: 0, createdAt: now() };
+    this._load().set(file, entry);
+    try { this._write(file, entry); }
+    catch (e) { log.error("outbox", "write failed; report is only kept in memory:", e?.message || e); }
+    return this._deliver(file, entry);
+  }
+  async _deliver(file, entry) {
+    if (entry.sending) return false;
+    entry.sending = true;
+    try {
+      await apiPost(`/jobs/${entry.jobId}/${entry.kind}`, entry.body);
+      this._remove(file);
+      if (entry.attempts) log.info("outbox", `${entry.kind} for job ${entry.jobId} delivered after ${entry.attempts} failed attempt(s)`);
+      return true;
+    } catch (e) {
+      if (e.status && !retriableStatus(e.status)) {
+        log.error("outbox", `${entry.kind} for job ${entry.jobId} rejected with HTTP ${e.status}; dropping it:`, e.message);
+        this._remove(file);
+        return false;
+      }
+      entry.attempts += 1;
+      entry.lastError = e.message;
+      entry.nextAttemptAt = now() + Math.min(OUTBOX_RETRY_MAX_MS, OUTBOX_RETRY_BASE_MS * 2 ** (entry.attempts - 1)) + within(0, Math.floor(OUTBOX_RETRY_BASE_MS / 10));
+      try { this._write(file, entry); } catch {}
+      logFetchError(`jobs/${entry.jobId}/${entry.kind} (outbox attempt ${entry.attempts})`, e);
+      return false;
+    } finally { entry.sending = false; }
+  }
+  // Delivers every entry that is due (all of them with force); concurrent callers share one pass
+  flush({ force = false } = {}) {
+    if (this.flushing) return this.flushing;
+    this.flushing = (async () => {
+      for (const [file, entry] of [...this._load()]) {
+        if (force || entry.nextAttemptAt <= now()) await this._deliver(file, entry);
+      }
+    })().finally(() => { this.flushing = null; });
+    return this.flushing;
+  }
+}
+const outbox = new ResultOutbox();
+
 // ---------- Job loop ----------
-async function processOne() {
+const JOB_TYPES = ["AUTH_CHECK", "SEND_CONNECTION", "SEND_MESSAGE"];
+const jobUserKey = (job) => sanitizeUserId(job?.payload?.userId || "default");
+
+// Claims the next job, asking only for accounts that have no job running on this worker.
+async function claimNextJob(excludeUserIds = []) {
+  if (outbox.size) await outbox.flush();
+  if (outbox.backedUp()) {
+    log.warn("outbox", `${outbox.size} report(s) waiting for the API; not claiming new jobs`);
+    return null;
+  }
   let next;
-  try { next = await apiPost("/jobs/next", { types: ["AUTH_CHECK", "SEND_CONNECTION", "SEND_MESSAGE"] }); }
-  catch (e) { logFetchError("jobs/next", e); return; }
-  const job = next?.job; if (!job) return;
+  try { next = await apiPost("/jobs/next", { types: JOB_TYPES, excludeUserIds }); }
+  catch (e) { logFetchError("jobs/next", e); return null; }
+  return next?.job || null;
+}
+
+// ---------- Shutdown & job leases ----------
+let shuttingDown = false;
+let wakeLoop = () => {};
+const abandonedJobs = new Set(); // requeued at shutdown; their late results are dropped
+
+function startHeartbeat(job) {
+  if (!JOB_HEARTBEAT_MS) return () => {};
+  const timer = setInterval(() => {
+    apiPost(`/jobs/${job.id}/heartbeat`, { leaseMs: JOB_LEASE_MS }, { retries: API_RETRIES })
+      .catch((e) => logFetchError(`jobs/${job.id}/heartbeat`, e));
+  }, JOB_HEARTBEAT_MS);
+  timer.unref?.();
+  return () => clearInterval(timer);
+}
+
+async function shutdown(signal, { exit = true } = {}) {
+  if (shuttingDown) {
+    if (exit) { log.info("worker", `${signal} received again; exiting now`); process.exit(1); }
+    return;
+  }
+  shuttingDown = true; wakeLoop();
+  log.info("worker", `${signal} received; stopped polling, waiting up to ${SHUTDOWN_GRACE_MS}ms for ${activeJobs.size} running job(s)`);
+  const finished = await Promise.race([
+    Promise.all([...activeJobs.values()].map((a) => a.done)).then(() => true),
+    sleep(SHUTDOWN_GRACE_MS).then(() => false),
+  ]);
+  if (!finished) {
+    for (const a of activeJobs.values()) {
+      abandonedJobs.add(a.jobId);
+      if (a.ctx?.sendClicked) {
+        // Send was clicked: the message or invite may be out, so this one is not handed to another worker
+        log.info("worker", "Job", a.jobId, "did not finish within the grace period after Send; reporting unconfirmed");
+        jobAttempts.forget(a.jobId);
+        await outbox.send(a.jobId, "fail", { error: "Worker shutting down after Send was clicked", code: "unconfirmed", requeue: false, delayMs: 0 });
+        continue;
+      }
+      log.info("worker", "Job", a.jobId, "did not finish within the grace period; requeueing");
+      await outbox.send(a.jobId, "fail", { error: "Worker shutting down", code: "shutdown", requeue: true, delayMs: 0 });
+    }
+  }
+  // Last chance for undelivered reports; whatever is left goes out on the next start
+  if (outbox.size) await Promise.race([outbox.flush({ force: true }), sleep(10000)]);
+  await Promise.race([sessions.closeAll(), sleep(10000)]);
+  log.info("worker", "shutdown complete.");
+  if (exit) process.exit(0);
+}
+
+// `slot` (an activeJobs entry) gets the job's context, so shutdown can tell whether Send was clicked
+async function runJob(job, slot = null) {
+  return withJobContext(job, async () => {
+    if (slot) slot.ctx = jobContext.getStore();
+    const stopHeartbeat = startHeartbeat(job);
+    try { await runJobInner(job); } finally { stopHeartbeat(); }
+  });
+}
+
+async function runJobInner(job) {
+  setStep("schedule");
+  if (ACTION_KIND_BY_JOB[job.type] && suppressionsStale()) await refreshSuppressions();
+  if (!selectors.version && SELECTORS_SOURCE === "api") await refreshSelectors();
+  const deferral = deferralFor(job);
+  if (deferral) {
+    log.info("schedule", "Job", job.id, `deferred ${Math.ceil(deferral.delayMs / 60000)} min:`, deferral.reason);
+    mJobs.inc({ type: job.type, outcome: "deferred" });
+    await outbox.send(job.id, "fail", { error: `Deferred: ${deferral.reason}`, code: "deferred", requeue: true, delayMs: deferral.delayMs });
+    return;
+  }
 
+  let result = null, decision, error, threw = false;
+  const startedAt = now();
+  const attempts = jobAttempts.next(job);
   try {
-    let result = null;
+    jobContext.getStore().locale = jobLocale(job);
+    if (["password", "totpSecret", "credentials"].some((k) => Object.hasOwn(job.payload || {}, k))) {
+      throw new JobError("invalid_job", "Credentials are never taken from job payloads (use CREDENTIALS_PATH or LINKEDIN_* env)");
+    }
     switch (job.type) {
       case "AUTH_CHECK":      result = await handleAuthCheck(job); break;
       case "SEND_CONNECTION": result = await handleSendConnection(job); break;
       case "SEND_MESSAGE":    result = await handleSendMessage(job); break;
-      default: result = { note: `Unhandled job type: ${job.type}` }; break;
+      default: throw new JobError("invalid_job", `Unhandled job type: ${job.type}`);
     }
-    try {
-      await apiPost(`/jobs/${job.id}/complete`, { result });
-      console.log("[worker] Job", job.id, "done:", result?.message || result?.details || result?.actionTaken || result?.note || "ok");
-    } catch (e) { logFetchError(`jobs/${job.id}/complete`, e); }
+    decision = outcomeDecision(classifyResult(result), attempts);
+    result = { ...result, outcome: decision.outcome };
+    error = result.details || result.reason || decision.outcome;
   } catch (e) {
-    console.error("[worker] Job", job?.id, "failed:", e.message);
-    try { await apiPost(`/jobs/${job.id}/fail`, { error: e.message, requeue: false, delayMs: 0 }); }
-    catch (e2) { logFetchError(`jobs/${job.id}/fail`, e2); }
+    log.error("worker", "Job", job?.id, "failed:", e.message);
+    // A throw after the Send click (closed page, timeout while confirming) may hide a real send
+    decision = outcomeDecision(sendClicked() ? "unconfirmed" : classifyError(e), attempts);
+    error = e.message; threw = true;
+  }
+  // Whatever a handler returned, once Send was clicked nothing goes back to the queue: a retry could send twice
+  if (decision.requeue && sendClicked()) {
+    decision = outcomeDecision("unconfirmed", attempts);
+    if (result) result = { ...result, outcome: decision.outcome };
+  }
+  const session = jobContext.getStore()?.session;
+  if (session) {
+    if (decision.outcome !== "success") {
+      setStep("artifacts");
+      const artifacts = await captureFailureArtifacts(job, session, { outcome: decision.outcome, error }).catch(() => null);
+      if (artifacts) result = { ...(result || {}), artifacts };
+    } else if (session.tracing) {
+      await session.context.tracing.stopChunk().catch(() => {});
+    }
+    await sessions.release(session.userId, { discard: threw }).catch(() => {});
+    const video = await finalizeJobVideo(job, session, decision.outcome !== "success");
+    if (video) result = { ...(result || {}), video };
+  }
+  const authArtifacts = jobContext.getStore()?.artifacts;
+  if (authArtifacts && !result?.artifacts) result = { ...(result || {}), artifacts: authArtifacts };
+  const matchedSelectors = jobContext.getStore()?.selectors;
+  if (matchedSelectors) result = { ...(result || {}), selectors: matchedSelectors };
+  mHandlerSeconds.observe({ type: job.type }, (now() - startedAt) / 1000);
+  mJobs.inc({ type: job.type, outcome: decision.outcome });
+  setStep("report");
+  if (abandonedJobs.has(job.id)) { log.info("worker", "Job", job.id, "finished after shutdown requeue; result dropped"); return; }
+  if (decision.outcome === "auth_required") {
+    await accountAuth.required(job.payload?.userId || "default", error);
+    // The job itself is fine: a SEND waits in the queue until the account is signed in again
+    if (ACTION_KIND_BY_JOB[job.type]) {
+      const delayMs = AUTH_DEFER_MS + within(5_000, 60_000);
+      jobAttempts.uncount(job.id);
+      log.info("worker", "Job", job.id, `deferred ${Math.ceil(delayMs / 60000)} min: account needs to sign in again (${error})`);
+      await outbox.send(job.id, "fail", { error: `Deferred: ${error}`, code: "deferred", requeue: true, delayMs, result });
+      return;
+    }
+  }
+  if (!decision.requeue) jobAttempts.forget(job.id);
+
+  if (decision.report === "complete") {
+    log.info("worker", "Job", job.id, "done:", result?.message || result?.details || result?.actionTaken || "ok");
+    await outbox.send(job.id, "complete", { result });
+    return;
   }
+  log.info("worker", "Job", job.id, `${decision.outcome}:`, error, decision.requeue ? `→ retry in ${Math.ceil(decision.delayMs / 60000)} min` : "→ not retried");
+  await outbox.send(job.id, "fail", { error, code: decision.outcome, requeue: decision.requeue, delayMs: decision.delayMs, result });
+}
+
+async function processOne() {
+  const job = await claimNextJob();
+  if (job) await runJob(job);
+}
+
+// Running jobs by account key; at most one per account and WORKER_CONCURRENCY overall.
+const activeJobs = new Map();
+
+async function fillSlots() {
+  while (!shuttingDown && activeJobs.size < WORKER_CONCURRENCY) {
+    const busy = [...activeJobs.values()].map((a) => a.userId).concat([...revalidating.values()]);
+    const job = await claimNextJob(busy);
+    if (!job) return;
+    const key = jobUserKey(job);
+    if (activeJobs.has(key) || revalidating.has(key)) {
+      // Backend ignored excludeUserIds; hand it back rather than run two jobs for one account.
+      log.info("worker", "Job", job.id, "belongs to a busy account; requeueing");
+      await outbox.send(job.id, "fail", { error: "Account busy on this worker", code: "busy", requeue: true, delayMs: POLL_INTERVAL_MS });
+      return;
+    }
+    const slot = { userId: job.payload?.userId || "default", jobId: job.id, ctx: null };
+    slot.done = runJob(job, slot)
+      .catch((e) => log.error("worker", "job error:", e.message || e))
+      .finally(() => activeJobs.delete(key));
+    activeJobs.set(key, slot);
+  }
+}
+
+// ---------- Health & metrics server ----------
+let readyCache = { at: 0, value: null };
+
+async function checkChromium() {
+  if (SOFT_MODE) return { ok: true, skipped: "soft mode" };
+  let browser;
+  try {
+    browser = await chromium.launch({ headless: true, args: ["--no-sandbox", "--disable-dev-shm-usage", "--disable-gpu"] });
+    return { ok: true, version: browser.version() };
+  } catch (e) { return { ok: false, error: e?.message || String(e) }; }
+  finally { await browser?.close().catch(() => {}); }
+}
+
+// Probes arriving while a check runs share it rather than each launching a Chromium
+let readyInFlight = null;
+async function checkReadiness() {
+  if (readyCache.value && now() - readyCache.at < READY_CACHE_MS) return readyCache.value;
+  return (readyInFlight ??= (async () => {
+    const api = await apiGet("/jobs/stats", { retries: 0 }).then(() => ({ ok: true }), (e) => ({ ok: false, error: e?.message || String(e) }));
+    const chromiumCheck = await checkChromium();
+    const value = { ok: api.ok && chromiumCheck.ok && !shuttingDown, api, chromium: chromiumCheck, shuttingDown };
+    readyCache = { at: now(), value };
+    return value;
+  })().finally(() => { readyInFlight = null; }));
+}
+
+function startHealthServer(port = HEALTH_PORT) {
+  const handle = async (req, res) => {
+    const send = (status, body, type = "application/json") => {
+      if (res.headersSent) return;
+      res.writeHead(status, { "Content-Type": type });
+      res.end(type === "application/json" ? JSON.stringify(body) : body);
+    };
+    try {
+      const { pathname } = new URL(req.url, "http://localhost");
+      if (pathname === "/healthz") return send(200, { ok: true, uptimeSec: Math.round(process.uptime()), activeJobs: activeJobs.size, outboxPending: outbox.size, selectorsVersion: selectors.version, shuttingDown });
+      if (pathname === "/readyz") { const r = await checkReadiness(); return send(r.ok ? 200 : 503, r); }
+      const art = pathname.match(/^\/artifacts\/([^/]+)\/(screenshot\.png|dom\.html|trace\.zip|meta\.json)$/);
+      if (art) {
+        if (req.headers["x-worker-secret"] !== WORKER_SHARED_SECRET || !WORKER_SHARED_SECRET) return send(401, { error: "unauthorized" });
+        const file = path.join(artifactDirFor(decodeURIComponent(art[1])), art[2]);
+        const type = { png: "image/png", html: "text/html", zip: "application/zip", json: "application/json" }[art[2].split(".").pop()];
+        let data;
+        try { data = await fsp.readFile(file); } catch { return send(404, { error: "artifact not found" }); }
+        return send(200, data, type);
+      }
+      if (pathname === "/metrics") {
+        return send(200, metrics.render({
+          linqbridge_active_jobs: { help: "Jobs currently running", value: activeJobs.size },
+          linqbridge_pooled_sessions: { help: "Browser sessions kept alive in the pool", value: sessions.sessions.size },
+          linqbridge_outbox_pending: { help: "Job reports waiting in the outbox for the API", value: outbox.size },
+          linqbridge_accounts_auth_required: { help: "Accounts that have to sign in again", value: accountAuth.list().filter((e) => e.status === "auth_required").length },
+        }), "text/plain; version=0.0.4");
+      }
+      return send(404, { error: "not found" });
+    } catch (e) { return send(500, { error: e?.message || String(e) }); }
+  };
+  // A request must never take the worker down, whatever the handler runs into
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch((e) => { log.error("health", "request failed:", e?.message || e); res.destroy(); });
+  });
+  // A taken port costs the probes, not the worker
+  server.on("error", (e) => log.error("health", `health server on :${port} failed:`, e.message));
+  server.listen(port, () => log.info("health", `listening on :${server.address().port} (/healthz, /readyz, /metrics)`));
+  server.unref();
+  return server;
 }
 
 async function mainLoop() {
-  console.log("[worker] starting.", `API_BASE=${API_BASE}`, `Headless: ${HEADLESS}`, `SlowMo: ${SLOWMO_MS}ms`, `Soft mode: ${SOFT_MODE}`);
-  if (!WORKER_SHARED_SECRET) console.error("[worker] ERROR: WORKER_SHARED_SECRET is empty. Set it on both backend and worker!");
-  try { const stats = await apiGet("/jobs/stats"); console.log("[worker] API OK. Stats:", stats?.counts || stats); }
+  log.info("worker", "starting.", `API_BASE=${API_BASE}`, `Headless: ${HEADLESS}`, `SlowMo: ${SLOWMO_MS}ms`, `Soft mode: ${SOFT_MODE}`, `Rehearsal: ${REHEARSAL_MODE}`, `Concurrency: ${WORKER_CONCURRENCY}`);
+  if (!WORKER_SHARED_SECRET) log.error("worker", "WORKER_SHARED_SECRET is empty. Set it on both backend and worker!");
+  if (!SOFT_MODE) {
+    try { stateKey(); } catch (e) { log.error("auth", e.message); process.exit(1); }
+    moveLegacySessionFiles();
+    sweepSessionFiles();
+  }
+  try { parseActiveDays(ACTIVE_DAYS); parseActiveHours(ACTIVE_HOURS); }
+  catch (e) { log.error("schedule", `${e.message} (ACTIVE_DAYS / ACTIVE_HOURS)`); process.exit(1); }
+  try { const stats = await apiGet("/jobs/stats"); log.info("worker", "API OK. Stats:", stats?.counts || stats); }
   catch (e) { logFetchError("jobs/stats (startup)", e); }
-  while (true) {
-    try { await processOne(); } catch (e) { console.error("[worker] loop error:", e.message || e); }
-    await sleep(POLL_INTERVAL_MS);
+  if (SELECTORS_SOURCE === "api") await refreshSelectors();
+  if (SELECTORS_REFRESH_MS) setInterval(refreshSelectors, SELECTORS_REFRESH_MS).unref();
+  await refreshSuppressions();
+  if (SUPPRESSION_REFRESH_MS) setInterval(refreshSuppressions, SUPPRESSION_REFRESH_MS).unref();
+  if (VIDEO_MODE !== "off" && VIDEO_PRUNE_MS) {
+    pruneVideos().catch(() => {});
+    setInterval(() => { pruneVideos().catch(() => {}); }, VIDEO_PRUNE_MS).unref();
+  }
+  // First pass before anything is claimed, so the API hears about expired sessions up front
+  if (SESSION_CHECK_MS) {
+    await revalidateSessions().catch((e) => log.warn("auth", "session checks failed:", e?.message || e));
+    setInterval(() => { revalidateSessions().catch((e) => log.warn("auth", "session checks failed:", e?.message || e)); }, SESSION_CHECK_MS).unref();
+  }
+  while (!shuttingDown) {
+    try { await fillSlots(); } catch (e) { log.error("worker", "loop error:", e.message || e); }
+    // Wake on the poll interval, as soon as a running job frees its slot, or on shutdown
+    await Promise.race([
+      sleep(POLL_INTERVAL_MS),
+      new Promise((r) => { wakeLoop = r; }),
+      ...[...activeJobs.values()].map((a) => a.done),
+    ]);
   }
 }
-mainLoop().catch((e) => { console.error("[worker] fatal:", e); process.exitCode = 1; });
+
+module.exports = {
+  getConnectionDegree, looksLikeInMailOrOpenProfile, detectRelationshipStatus,
+  openConnectDialog, completeConnectDialog, sendConnectionRequest,
+  openMessageDialog, typeIntoComposer, normalizeComposerText, clickSendInComposer, confirmDelivery, sendMessageFlow,
+  detectHardScreen, isAuthWalledOrGuest, isProfileUrl, isFeedUrl,
+  handleAuthCheck, handleSendConnection, handleSendMessage, processOne, runJob, fillSlots, activeJobs, shutdown,
+  log, jobContext, withJobContext, setStep, metrics, startHealthServer, checkReadiness, pruneArtifacts, captureAuthArtifacts, pruneVideos, recordingContexts,
+  classifyResult, classifyError, outcomeDecision, JobError, JobAttempts,
+  credentialsFor, credentialLogin, totpCode, ensureAuthenticated,
+  AccountAuthStatus, accountAuth, sessionCookieStatus, authDeferral, revalidateSessions,
+  StateKeyError, parseStateKey, encryptState, decryptState, readStateFile, writeStateFile, moveLegacySessionFiles, sweepSessionFiles,
+  ActionLedger, ledger, profileKeyOf, armLedger, markSendClicked, ResultOutbox, outbox, apiGet, apiPost,
+  SuppressionList, suppressions, refreshSuppressions, suppressionCheck, suppressionDeferral, normalizeCompany,
+  validateTemplate, renderTemplate, cleanProfileName, companyFromHeadline, readProfileVariables,
+  selectors, refreshSelectors, compileSelectorRegistry, detectPageLocale, acceptLanguage,
+  sessions, AccountThrottle, parseActiveDays, parseActiveHours, windowDelay, accountPolicy, deferralFor,
+};
+
+// `node worker.cjs encrypt-file <path>`: rewrites a plaintext JSON file (credentials, a session) in the
+// STATE_ENCRYPTION_KEY envelope
+if (require.main === module && process.argv[2] === "encrypt-file") {
+  const file = process.argv[3];
+  try {
+    const doc = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (isEnvelope(doc)) log.info("auth", `${file} is already encrypted`);
+    else { writeStateFile(file, doc); log.info("auth", `encrypted ${file}`); }
+  } catch (e) { log.error("auth", `cannot encrypt ${file}:`, e.message); process.exitCode = 1; }
+} else if (require.main === module) {
+  process.on("SIGTERM", () => { shutdown("SIGTERM"); });
+  process.on("SIGINT", () => { shutdown("SIGINT"); });
+  if (HEALTH_PORT) startHealthServer();
+  mainLoop().catch((e) => { log.error("worker", "fatal:", e); process.exitCode = 1; });
+}